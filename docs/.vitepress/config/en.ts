@@ -13,7 +13,7 @@ export const enConfig = defineConfig({
     },
 
     editLink: {
-      pattern: 'https://github.com/chunhaofen/electron-infra-kit/edit/main/docs/:path',
+      pattern: 'https://github.com/chunhaofen/electron-infra-kit-docs/edit/main/docs/:path',
       text: 'Edit this page on GitHub'
     },
 
@@ -13,7 +13,7 @@ export const zhConfig = defineConfig({
     },
 
     editLink: {
-      pattern: 'https://github.com/chunhaofen/electron-infra-kit/edit/main/docs/:path',
+      pattern: 'https://github.com/chunhaofen/electron-infra-kit-docs/edit/main/docs/:path',
       text: '在 GitHub 上编辑此页面'
     },
 
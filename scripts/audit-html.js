@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { loadSite } from './lib/site.js';
+import { expectedBuild } from './lib/build.js';
+
+// SEO and accessibility audit of the generated html, offline: every page the
+// build should contain (the pages verify-build.js checks) is read from the
+// output directory and audited as rendered, results grouped per page.
+
+const errors = [];
+const warnings = [];
+const stats = { pages: 0, locales: new Map() };
+
+// Titles and descriptions shown by more than one page are listed by name up to this
+const MAX_LISTED = 3;
+
+// Zero-width spaces are what VitePress puts in header anchors
+function normalize(text) {
+  return (text || '').replace(/[\s\u200B-\u200D\uFEFF]+/g, ' ').trim();
+}
+
+function listPages(files) {
+  return files.length > MAX_LISTED
+    ? `${files.slice(0, MAX_LISTED).join(', ')} and ${files.length - MAX_LISTED} more`
+    : files.join(', ');
+}
+
+// Name a screen reader announces for a link: aria-labelledby, aria-label,
+// its text (alt of the images in it included), then its title
+function accessibleName(element) {
+  const { document } = element.ownerDocument.defaultView;
+  const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  if (labelledBy.length > 0) {
+    const name = normalize(labelledBy.map(id => (document.getElementById(id) || {}).textContent).join(' '));
+    if (name) return name;
+  }
+  const label = normalize(element.getAttribute('aria-label'));
+  if (label) return label;
+
+  const parts = [];
+  (function collect(node) {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === 3) parts.push(child.textContent);
+      if (child.nodeType !== 1 || child.getAttribute('aria-hidden') === 'true') return;
+      if (child.tagName === 'IMG') parts.push(child.getAttribute('alt') || '');
+      else if (child.getAttribute('aria-label')) parts.push(child.getAttribute('aria-label'));
+      else collect(child);
+    });
+  })(element);
+  return normalize(parts.join(' ')) || normalize(element.getAttribute('title'));
+}
+
+function describeElement(element) {
+  const text = normalize(element.textContent).slice(0, 40);
+  const href = element.getAttribute('href');
+  const src = element.getAttribute('src');
+  return `<${element.tagName.toLowerCase()}${href !== null ? ` href="${href}"` : ''}${src !== null ? ` src="${src}"` : ''}>${text ? ` "${text}"` : ''}`;
+}
+
+// Problems a page has on its own; its title and description are returned to
+// be compared across pages
+function auditPage(entry, html, locale) {
+  const { window } = new JSDOM(html);
+  const { document } = window;
+  const problem = (list, rule, message) => list.push({ file: entry.outputFile, source: entry.source, rule, message });
+
+  const title = normalize(document.title);
+  if (!title) problem(errors, 'title', 'Missing or empty <title>');
+
+  const descriptionElement = document.querySelector('meta[name="description"]');
+  const description = normalize(descriptionElement && descriptionElement.getAttribute('content'));
+  if (!description) problem(errors, 'description', 'Missing or empty <meta name="description">');
+
+  const lang = document.documentElement.getAttribute('lang');
+  if (!lang) {
+    problem(errors, 'lang', `<html> has no lang attribute (expected "${locale.lang}")`);
+  } else if (lang !== locale.lang) {
+    problem(errors, 'lang', `<html lang="${lang}"> on a ${locale.label} page (expected "${locale.lang}")`);
+  }
+
+  // Going up any number of levels is fine, going down must be one level at
+  // a time
+  let previous = null;
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    const level = Number(heading.tagName[1]);
+    if (previous && level > previous.level + 1) {
+      problem(errors, 'heading-order', `<h${level}> "${normalize(heading.textContent)}" follows <h${previous.level}> "${previous.text}" (skips <h${previous.level + 1}>)`);
+    }
+    previous = { level, text: normalize(heading.textContent) };
+  });
+
+  document.querySelectorAll('img').forEach(image => {
+    const hidden = image.getAttribute('aria-hidden') === 'true' || ['presentation', 'none'].includes(image.getAttribute('role'));
+    if (!image.hasAttribute('alt') && !hidden) {
+      problem(errors, 'img-alt', `${describeElement(image)} has no alt attribute (alt="" for a decorative image)`);
+    }
+  });
+
+  document.querySelectorAll('a[href], area[href]').forEach(link => {
+    if (link.getAttribute('aria-hidden') === 'true') return;
+    if (link.tagName === 'AREA' ? !normalize(link.getAttribute('alt')) && !normalize(link.getAttribute('aria-label')) : !accessibleName(link)) {
+      problem(errors, 'link-name', `${describeElement(link)} has no accessible name (text, alt or aria-label)`);
+    }
+  });
+
+  const ids = new Map();
+  document.querySelectorAll('[id]').forEach(element => ids.set(element.id, (ids.get(element.id) || 0) + 1));
+  ids.forEach((count, id) => {
+    if (count > 1) problem(errors, 'duplicate-id', `id="${id}" is used by ${count} elements`);
+  });
+
+  window.close();
+  return { title, description };
+}
+
+// Pages of a locale sharing a value, each told which other pages it shares
+// it with. Translations may share a title ("Config API") across locales.
+function reportDuplicates(audited, key, list, rule, describe) {
+  const byValue = new Map();
+  audited.filter(page => page[key]).forEach(page => {
+    const id = `${page.locale.key}\n${page[key]}`;
+    byValue.set(id, [...(byValue.get(id) || []), page]);
+  });
+  byValue.forEach(pages => {
+    if (pages.length < 2) return;
+    pages.forEach(page => {
+      const others = pages.filter(other => other !== page).map(other => other.entry.outputFile);
+      list.push({ file: page.entry.outputFile, source: page.entry.source, rule, message: describe(page[key], others) });
+    });
+  });
+}
+
+// Print problems grouped by page, in the order of the build's pages
+function reportGrouped(list, order) {
+  const byFile = new Map();
+  list.forEach(item => byFile.set(item.file, [...(byFile.get(item.file) || []), item]));
+  order.filter(file => byFile.has(file)).forEach(file => {
+    const items = byFile.get(file);
+    console.log(`   ${file}${items[0].source ? ` (${items[0].source})` : ''}`);
+    items.forEach(item => console.log(`   → [${item.rule}] ${item.message}`));
+    console.log();
+  });
+}
+
+// Main audit function
+async function auditHtml() {
+  console.log('🔎 Auditing the generated HTML (SEO and accessibility)...\n');
+
+  const site = await loadSite();
+  const build = expectedBuild(site);
+  if (!fs.existsSync(build.outDir)) {
+    console.log('❌ Build output not found. Run "pnpm run build" first.\n');
+    return false;
+  }
+
+  // Locale of a page from its URL, the way VitePress picks it: the 404 page
+  // belongs to the root locale
+  const localesByPrefix = [...site.locales].sort((a, b) => b.link.length - a.link.length);
+  const audited = [];
+  build.pages.forEach(entry => {
+    const file = path.join(build.outDir, entry.outputFile);
+    if (!fs.existsSync(file)) {
+      errors.push({ file: entry.outputFile, source: entry.source, rule: 'missing', message: 'Not in the build output (see verify-build.js)' });
+      return;
+    }
+    const locale = localesByPrefix.find(candidate => entry.url.startsWith(candidate.link));
+    const result = auditPage(entry, fs.readFileSync(file, 'utf-8'), locale);
+    audited.push({ entry, locale, ...result });
+    stats.pages++;
+    stats.locales.set(locale.label, (stats.locales.get(locale.label) || 0) + 1);
+  });
+
+  reportDuplicates(audited, 'title', errors, 'duplicate-title',
+    (title, others) => `<title> "${title}" is also the title of ${listPages(others)}`);
+  // Pages without a description of their own get the site's, which search
+  // results then show for all of them
+  reportDuplicates(audited, 'description', errors, 'duplicate-description',
+    (description, others) => `Same meta description as ${others.length} other pages (${listPages(others)}); add a \`description\` to the page's frontmatter`);
+
+  console.log(`📊 Statistics:`);
+  console.log(`   Pages audited: ${stats.pages}`);
+  stats.locales.forEach((count, label) => console.log(`   ${label}: ${count}`));
+  console.log();
+
+  const order = build.pages.map(entry => entry.outputFile);
+
+  // Report errors
+  if (errors.length > 0) {
+    const pages = new Set(errors.map(error => error.file)).size;
+    console.log(`❌ Found ${errors.length} errors on ${pages} pages:\n`);
+    reportGrouped(errors, order);
+  } else {
+    console.log('✅ No SEO or accessibility errors!\n');
+  }
+
+  // Report warnings
+  if (warnings.length > 0) {
+    const pages = new Set(warnings.map(warning => warning.file)).size;
+    console.log(`⚠️  Found ${warnings.length} warnings on ${pages} pages:\n`);
+    reportGrouped(warnings, order);
+  }
+
+  return errors.length === 0;
+}
+
+// Run the audit
+const success = await auditHtml();
+process.exit(success ? 0 : 1);
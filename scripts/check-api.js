@@ -0,0 +1,531 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import { loadSite } from './lib/site.js';
+import { parseMarkdown } from './lib/markdown.js';
+import { splitSections } from './lib/sections.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+// Declaration files to compare against (the bundle's entry points). Without
+// arguments, those of the installed electron-infra-kit package.
+const bundleArgs = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const ENTRY_POINTS = ['electron-infra-kit', 'electron-infra-kit/preload'];
+
+const errors = [];
+const warnings = [];
+const stats = { members: 0, types: 0 };
+
+const COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  noEmit: true,
+  skipLibCheck: true,
+  types: []
+};
+
+const TYPESCRIPT_LANGUAGES = new Set(['ts', 'typescript']);
+
+// A signature heading: "### `addHandler(handler: IpcHandler): void`"
+const memberHeading = /^#{1,6}\s+`([^`]+)`\s*$/;
+// A type heading: "#### RateLimitConfig"
+const typeHeading = /^#{1,6}\s+([A-Za-z_$][\w$]*)\s*$/;
+// The constructor written as a call: "new IpcHandler<Context, T, R>(name: string, ...)"
+const constructorCall = /^new\s+([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\(([\s\S]*)\)\s*;?\s*$/;
+
+const printer = ts.createPrinter({ removeComments: true });
+
+// Declaration text with the layout taken out, so `{ a: string }` written
+// over several lines or with commas compares equal
+function print(node, sourceFile) {
+  return printer.printNode(ts.EmitHint.Unspecified, node, sourceFile).replace(/\s+/g, ' ').trim();
+}
+
+// Resolve the bundle's entry points: the files given on the command line,
+// or the declarations of the installed package
+function resolveBundle() {
+  if (bundleArgs.length > 0) {
+    return bundleArgs.map(file => path.resolve(file)).filter(file => {
+      if (fs.existsSync(file)) return true;
+      errors.push({ type: 'bundle', file, message: 'Declaration file not found' });
+      return false;
+    });
+  }
+  return ENTRY_POINTS.map(specifier => {
+    const { resolvedModule } = ts.resolveModuleName(specifier, path.join(rootDir, 'index.ts'), COMPILER_OPTIONS, ts.sys);
+    return resolvedModule && resolvedModule.extension === ts.Extension.Dts ? resolvedModule.resolvedFileName : null;
+  }).filter(Boolean);
+}
+
+// Every export of the bundle, aliases (export { X } from './x') resolved
+function loadBundle(files) {
+  const program = ts.createProgram(files, COMPILER_OPTIONS);
+  const checker = program.getTypeChecker();
+  const exports = new Map();
+  files.forEach(file => {
+    const sourceFile = program.getSourceFile(file);
+    const moduleSymbol = sourceFile && checker.getSymbolAtLocation(sourceFile);
+    if (!moduleSymbol) {
+      errors.push({ type: 'bundle', file: path.relative(rootDir, file), message: 'Not a module: it has no exports' });
+      return;
+    }
+    checker.getExportsOfModule(moduleSymbol).forEach(symbol => {
+      const target = symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol;
+      if (!exports.has(symbol.name)) exports.set(symbol.name, target);
+    });
+  });
+  return { program, checker, exports };
+}
+
+function isBundleFile(program, sourceFile) {
+  return !program.isSourceFileDefaultLibrary(sourceFile) && !program.isSourceFileFromExternalLibrary(sourceFile);
+}
+
+function memberName(node) {
+  if (ts.isConstructorDeclaration(node) || ts.isConstructSignatureDeclaration(node)) return 'constructor';
+  if (ts.isCallSignatureDeclaration(node)) return '()';
+  if (ts.isIndexSignatureDeclaration(node)) return '[]';
+  if (!node.name) return null;
+  return ts.isIdentifier(node.name) || ts.isPrivateIdentifier(node.name) || ts.isStringLiteral(node.name)
+    ? node.name.text
+    : null;
+}
+
+// Signature of a member without its name and modifiers: "(key: string): any",
+// "?: WindowManager". Readonly and static are left to the prose.
+function memberText(node, sourceFile) {
+  if (ts.isPropertyDeclaration(node) || ts.isPropertySignature(node)) {
+    return `${node.questionToken ? '?' : ''}: ${node.type ? print(node.type, sourceFile) : 'any'}`;
+  }
+  if (ts.isGetAccessorDeclaration(node)) {
+    return `: ${node.type ? print(node.type, sourceFile) : 'any'}`;
+  }
+  if (ts.isIndexSignatureDeclaration(node)) {
+    return print(node, sourceFile).replace(/^readonly /, '').replace(/;$/, '');
+  }
+  if (!node.parameters) return print(node, sourceFile);
+  const typeParameters = node.typeParameters
+    ? `<${node.typeParameters.map(parameter => print(parameter, sourceFile)).join(', ')}>`
+    : '';
+  const parameters = node.parameters.map(parameter => print(parameter, sourceFile)).join(', ');
+  const returnType = node.type ? `: ${print(node.type, sourceFile)}` : '';
+  return `${typeParameters}(${parameters})${returnType}`;
+}
+
+function displayName(name) {
+  return name === '()' || name === '[]' ? '' : name;
+}
+
+// Declared form of a symbol's declarations, one entry per overload
+function declaredTexts(symbol) {
+  return (symbol.declarations || []).map(declaration => memberText(declaration, declaration.getSourceFile()));
+}
+
+function declarationLine(declaration) {
+  const sourceFile = declaration.getSourceFile();
+  return sourceFile.getLineAndCharacterOfPosition(declaration.getStart(sourceFile)).line + 1;
+}
+
+function isPublicMember(node) {
+  const flags = ts.getCombinedModifierFlags(node);
+  const name = memberName(node);
+  return name !== null && !name.startsWith('#') && !name.startsWith('_') &&
+    !(flags & (ts.ModifierFlags.Private | ts.ModifierFlags.Protected));
+}
+
+// Parse a signature heading as a class member; null for headings that are
+// not one (event names such as `error`, prose in backticks)
+function parseMemberHeading(text) {
+  if (!/[(:]/.test(text)) return null;
+  const sourceFile = ts.createSourceFile('heading.ts', `declare class Heading {\n${text};\n}`, ts.ScriptTarget.ES2022, true);
+  if (sourceFile.parseDiagnostics.length > 0 || sourceFile.statements.length !== 1) return null;
+  const { members } = sourceFile.statements[0];
+  if (members.length !== 1 || memberName(members[0]) === null) return null;
+  return { name: memberName(members[0]), text: memberText(members[0], sourceFile) };
+}
+
+// Declarations a code block documents: interfaces, type aliases and class
+// headers ("class WindowManager extends TypedEmitter<WindowManagerEvents>"),
+// or a constructor written as a call. Blocks with any other statement are
+// examples and document nothing.
+function parseDefinitionBlock(code) {
+  const call = code.trim().match(constructorCall);
+  if (call) {
+    const heading = parseMemberHeading(`constructor(${call[2]})`);
+    return heading ? { constructorOf: call[1], text: heading.text, declarations: [] } : null;
+  }
+
+  let source = code;
+  let sourceFile = ts.createSourceFile('block.ts', source, ts.ScriptTarget.ES2022, true);
+  if (sourceFile.parseDiagnostics.length > 0 && /^\s*(export\s+)?(declare\s+)?class\b[^{]*$/.test(code)) {
+    // A class header on its own, without a body
+    source = `${code}\n{}`;
+    sourceFile = ts.createSourceFile('block.ts', source, ts.ScriptTarget.ES2022, true);
+  }
+  if (sourceFile.parseDiagnostics.length > 0) return null;
+  const declarations = sourceFile.statements;
+  const documents = declaration =>
+    ts.isInterfaceDeclaration(declaration) || ts.isTypeAliasDeclaration(declaration) ||
+    (ts.isClassDeclaration(declaration) && declaration.name);
+  if (declarations.length === 0 || !declarations.every(documents)) return null;
+  return { sourceFile, declarations };
+}
+
+function kindName(node) {
+  if (ts.isInterfaceDeclaration(node)) return 'interface';
+  if (ts.isTypeAliasDeclaration(node)) return 'type alias';
+  if (ts.isClassDeclaration(node)) return 'class';
+  if (ts.isFunctionDeclaration(node)) return 'function';
+  return ts.SyntaxKind[node.kind];
+}
+
+// "<T> extends Base<T>" of an interface or class declaration
+function headerText(node, sourceFile) {
+  const typeParameters = node.typeParameters
+    ? `<${node.typeParameters.map(parameter => print(parameter, sourceFile)).join(', ')}>`
+    : '';
+  const heritage = (node.heritageClauses || []).map(clause => print(clause, sourceFile)).join(' ');
+  return `${typeParameters}${heritage ? ' ' + heritage : ''}`;
+}
+
+// Compare one documented declaration with the exported one of the same name
+function compareDeclaration(documented, sourceFile, symbol, at) {
+  const name = documented.name.text;
+  const declared = (symbol.declarations || []).find(declaration => kindName(declaration) === kindName(documented)) ||
+    (symbol.declarations || [])[0];
+  if (!declared) return;
+  stats.types++;
+
+  if (kindName(declared) !== kindName(documented)) {
+    errors.push({
+      ...at(documented),
+      type: 'signature',
+      message: `${name} is documented as ${kindName(documented) === 'interface' ? 'an' : 'a'} ${kindName(documented)} but declared as ${kindName(declared) === 'interface' ? 'an' : 'a'} ${kindName(declared)}`,
+      details: [`declared: ${print(declared, declared.getSourceFile())}`]
+    });
+    return;
+  }
+
+  if (ts.isTypeAliasDeclaration(documented)) {
+    const documentedText = `${headerText(documented, sourceFile)} = ${print(documented.type, sourceFile)}`;
+    const declaredText = `${headerText(declared, declared.getSourceFile())} = ${print(declared.type, declared.getSourceFile())}`;
+    if (documentedText !== declaredText) {
+      errors.push({
+        ...at(documented),
+        type: 'signature',
+        message: `type ${name} does not match its declaration`,
+        details: [`documented: type ${name}${documentedText}`, `declared:   type ${name}${declaredText}`]
+      });
+    }
+    return;
+  }
+
+  const documentedHeader = headerText(documented, sourceFile);
+  const declaredHeader = headerText(declared, declared.getSourceFile());
+  if (documentedHeader !== declaredHeader) {
+    errors.push({
+      ...at(documented),
+      type: 'signature',
+      message: `${kindName(documented)} ${name} does not match its declaration`,
+      details: [`documented: ${name}${documentedHeader}`, `declared:   ${name}${declaredHeader}`]
+    });
+  }
+
+  // A class header documents no members; its members have their own headings
+  if (ts.isClassDeclaration(documented) && documented.members.length === 0) return;
+
+  const declaredMembers = new Map();
+  (symbol.declarations || []).filter(declaration => kindName(declaration) === kindName(documented)).forEach(declaration => {
+    declaration.members.filter(isPublicMember).forEach(member => {
+      const key = memberName(member);
+      if (!declaredMembers.has(key)) declaredMembers.set(key, []);
+      declaredMembers.get(key).push(memberText(member, declaration.getSourceFile()));
+    });
+  });
+  const documentedMembers = new Set();
+  documented.members.forEach(member => {
+    const key = memberName(member);
+    if (key === null) return;
+    documentedMembers.add(key);
+    const texts = declaredMembers.get(key);
+    const text = memberText(member, sourceFile);
+    if (!texts) {
+      errors.push({
+        ...at(member),
+        type: 'removed',
+        message: `${name}.${displayName(key)} is documented but not declared`
+      });
+    } else if (!texts.includes(text)) {
+      errors.push({
+        ...at(member),
+        type: 'signature',
+        message: `${name}.${displayName(key)} does not match its declaration`,
+        details: [`documented: ${displayName(key)}${text}`, ...texts.map(declaredText => `declared:   ${displayName(key)}${declaredText}`)]
+      });
+    }
+  });
+  declaredMembers.forEach((texts, key) => {
+    if (documentedMembers.has(key)) return;
+    warnings.push({
+      ...at(documented),
+      type: 'undocumented',
+      message: `${name}.${displayName(key)}${texts[0]} is declared but not documented`
+    });
+  });
+}
+
+// Members an owner offers: a class's instance and static members (inherited
+// ones included), or the members of what a function returns
+function ownerMembers(checker, symbol) {
+  const members = new Map();
+  const add = properties => properties.forEach(property => {
+    if (property.name !== 'prototype' && !members.has(property.name)) members.set(property.name, property);
+  });
+  if (symbol.flags & ts.SymbolFlags.Class) {
+    add(checker.getPropertiesOfType(checker.getDeclaredTypeOfSymbol(symbol)));
+    add(checker.getPropertiesOfType(checker.getTypeOfSymbol(symbol)));
+  } else if (symbol.flags & ts.SymbolFlags.Function) {
+    const [signature] = checker.getSignaturesOfType(checker.getTypeOfSymbol(symbol), ts.SignatureKind.Call);
+    if (signature) add(checker.getPropertiesOfType(checker.getReturnTypeOfSignature(signature)));
+  }
+  return members;
+}
+
+// Members an owner declares itself and should document
+function ownDeclaredMembers(bundle, symbol) {
+  const members = new Map();
+  if (symbol.flags & ts.SymbolFlags.Class) {
+    (symbol.declarations || []).filter(ts.isClassDeclaration).forEach(declaration => {
+      declaration.members.filter(isPublicMember).forEach(member => {
+        if (!members.has(memberName(member))) members.set(memberName(member), member);
+      });
+    });
+  } else {
+    ownerMembers(bundle.checker, symbol).forEach((property, name) => {
+      const [declaration] = property.declarations || [];
+      if (declaration && isBundleFile(bundle.program, declaration.getSourceFile())) members.set(name, declaration);
+    });
+  }
+  return members;
+}
+
+// Class or function a heading is about: "IpcRouter API", "IpcHandler Class",
+// "setupMessageBus"
+function ownerFromTitle(bundle, title) {
+  const [word] = title.trim().split(/[\s(<]/);
+  const symbol = bundle.exports.get(word);
+  return symbol && symbol.flags & (ts.SymbolFlags.Class | ts.SymbolFlags.Function) ? word : null;
+}
+
+function constructorTexts(symbol) {
+  return (symbol.declarations || []).filter(ts.isClassDeclaration).flatMap(declaration =>
+    declaration.members.filter(ts.isConstructorDeclaration).map(member => memberText(member, declaration.getSourceFile()))
+  );
+}
+
+// Compare a signature heading with the owner's member of that name, or with
+// the exported function of that name ("getSharedLogger" on the Logger page)
+function checkMember(bundle, owner, heading, at, documented) {
+  stats.members++;
+  const ownerSymbol = owner && bundle.exports.get(owner);
+  let label;
+  let texts;
+
+  if (ownerSymbol && heading.name === 'constructor') {
+    label = `${owner} constructor`;
+    texts = constructorTexts(ownerSymbol);
+    if (texts.length === 0) texts = ['()'];
+  } else {
+    const member = ownerSymbol && ownerMembers(bundle.checker, ownerSymbol).get(heading.name);
+    const exported = bundle.exports.get(heading.name);
+    if (member) {
+      label = `${owner}.${heading.name}`;
+      texts = declaredTexts(member);
+    } else if (exported && exported.flags & ts.SymbolFlags.Function) {
+      label = `${heading.name}()`;
+      texts = declaredTexts(exported);
+      documented.exports.add(heading.name);
+    } else {
+      errors.push({
+        ...at,
+        type: 'removed',
+        message: `${owner ? owner + '.' : ''}${heading.name} is documented but not declared`
+      });
+      return;
+    }
+  }
+
+  if (owner) documented.members.get(owner).add(heading.name);
+  if (texts.includes(heading.text)) return;
+  errors.push({
+    ...at,
+    type: 'signature',
+    message: `${label} does not match its declaration`,
+    details: [`documented: ${heading.name}${heading.text}`, ...texts.map(text => `declared:   ${heading.name}${text}`)]
+  });
+}
+
+// Walk one API page: owners from the page and section titles, signature
+// headings as their members, definition blocks as types
+function checkPage(bundle, page, documented) {
+  const content = fs.readFileSync(page.file, 'utf-8');
+  const { lines } = parseMarkdown(content);
+  let owner = null;
+
+  const setOwner = (name, line) => {
+    owner = name;
+    if (!documented.owners.has(name)) documented.owners.set(name, { file: page.source, line });
+    if (!documented.members.has(name)) documented.members.set(name, new Set());
+  };
+
+  splitSections(content).forEach(section => {
+    const headingLine = lines[section.line - 1] || '';
+    if (section.level === 1 || section.level === 2) {
+      const name = ownerFromTitle(bundle, section.title);
+      if (name) setOwner(name, section.line);
+      else if (section.level === 1) owner = null;
+    }
+
+    const signature = section.level > 0 && headingLine.match(memberHeading);
+    const heading = signature && parseMemberHeading(signature[1]);
+    if (heading) {
+      checkMember(bundle, owner, heading, { file: page.source, line: section.line }, documented);
+    }
+    const typeName = section.level > 0 && !heading ? (headingLine.match(typeHeading) || [])[1] : null;
+
+    section.codeBlocks.forEach(block => {
+      if (!TYPESCRIPT_LANGUAGES.has(block.lang.toLowerCase())) return;
+      const definition = parseDefinitionBlock(block.code);
+      if (!definition) return;
+      const at = { file: page.source, line: block.line + 1 };
+
+      if (definition.constructorOf) {
+        if (!owner) setOwner(definition.constructorOf, section.line);
+        checkMember(bundle, definition.constructorOf, { name: 'constructor', text: definition.text }, at, documented);
+        return;
+      }
+      definition.declarations.forEach(declaration => {
+        const name = declaration.name.text;
+        const symbol = bundle.exports.get(name);
+        const nodeAt = node => ({
+          file: page.source,
+          line: block.line + 1 + definition.sourceFile.getLineAndCharacterOfPosition(node.getStart(definition.sourceFile)).line
+        });
+        if (!symbol) {
+          // Interfaces of an example (a schema, the window API) are not API
+          if (name === typeName || ts.isClassDeclaration(declaration)) {
+            errors.push({ ...nodeAt(declaration), type: 'removed', message: `${name} is documented but not exported` });
+          }
+          return;
+        }
+        if (ts.isClassDeclaration(declaration) && ownerFromTitle(bundle, name)) {
+          setOwner(name, section.line);
+          declaration.members.forEach(member => documented.members.get(name).add(memberName(member)));
+        }
+        documented.exports.add(name);
+        compareDeclaration(declaration, definition.sourceFile, symbol, nodeAt);
+      });
+    });
+  });
+}
+
+// Members of each documented class (or function) the locale leaves out, and
+// exported classes and functions no API page documents
+function reportUndocumented(bundle, locale, documented) {
+  documented.owners.forEach((at, owner) => {
+    const members = documented.members.get(owner);
+    ownDeclaredMembers(bundle, bundle.exports.get(owner)).forEach((declaration, name) => {
+      if (members.has(name)) return;
+      warnings.push({
+        ...at,
+        type: 'undocumented',
+        message: `${owner}.${name}${memberText(declaration, declaration.getSourceFile())} is declared but not documented`
+      });
+    });
+  });
+
+  bundle.exports.forEach((symbol, name) => {
+    if (!(symbol.flags & (ts.SymbolFlags.Class | ts.SymbolFlags.Function))) return;
+    if (documented.owners.has(name) || documented.exports.has(name)) return;
+    const [declaration] = symbol.declarations || [];
+    if (!declaration) return;
+    warnings.push({
+      type: 'undocumented',
+      file: path.relative(rootDir, declaration.getSourceFile().fileName),
+      line: declarationLine(declaration),
+      message: `[${locale.code}] ${kindName(declaration)} ${name} is exported but no API page documents it`
+    });
+  });
+}
+
+// Main check function
+async function checkApi() {
+  console.log('🔍 Comparing the API reference with the type declarations...\n');
+
+  const files = resolveBundle();
+  if (files.length === 0) {
+    if (errors.length === 0) {
+      errors.push({
+        type: 'bundle',
+        file: 'package.json',
+        message: 'No electron-infra-kit declarations found. Install the package or pass its .d.ts files: ' +
+          'node scripts/check-api.js path/to/index.d.ts [path/to/preload.d.ts]'
+      });
+    }
+  }
+  const bundle = files.length > 0 ? loadBundle(files) : null;
+  const site = await loadSite();
+  const localeStats = [];
+
+  if (bundle) {
+    site.locales.forEach(locale => {
+      const documented = { owners: new Map(), members: new Map(), exports: new Set() };
+      const apiPages = [...site.localePages(locale.key).entries()]
+        .filter(([localPath]) => localPath.startsWith('api/'))
+        .map(([, page]) => page);
+      apiPages.forEach(page => checkPage(bundle, page, documented));
+      reportUndocumented(bundle, locale, documented);
+      localeStats.push({ locale, pages: apiPages.length, owners: documented.owners.size });
+    });
+  }
+
+  console.log(`📊 Statistics:`);
+  files.forEach(file => console.log(`   Declarations: ${path.relative(rootDir, file)}`));
+  if (bundle) console.log(`   Exports: ${bundle.exports.size}`);
+  localeStats.forEach(({ locale, pages, owners }) => {
+    console.log(`   ${locale.label} (${locale.link}): ${pages} API pages, ${owners} classes and functions documented`);
+  });
+  console.log(`   Signatures compared: ${stats.members} members, ${stats.types} types\n`);
+
+  // Report errors
+  if (errors.length > 0) {
+    console.log(`❌ Found ${errors.length} errors:\n`);
+    errors.forEach(error => {
+      console.log(`   ${error.file}${error.line ? ':' + error.line : ''}`);
+      console.log(`   → ${error.message}`);
+      (error.details || []).forEach(line => console.log(`     ${line}`));
+      console.log();
+    });
+  } else {
+    console.log('✅ The API reference matches the declarations!\n');
+  }
+
+  // Report warnings
+  if (warnings.length > 0) {
+    console.log(`⚠️  Found ${warnings.length} undocumented declarations:\n`);
+    warnings.forEach(warning => {
+      console.log(`   ${warning.file}:${warning.line}`);
+      console.log(`   → ${warning.message}\n`);
+    });
+  }
+
+  return errors.length === 0;
+}
+
+// Run the check
+const success = await checkApi();
+process.exit(success ? 0 : 1);
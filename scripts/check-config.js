@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSite } from './lib/site.js';
+import { collectNavLinks, collectSidebarLinks, getSidebars } from './lib/theme-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const errors = [];
+const warnings = [];
+
+// Source location of a config value; repeated values are matched in order
+function createLocator(site) {
+  const seen = new Map();
+  return (value, configFile) => {
+    const key = `${configFile}\0${value}`;
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    const { file, line } = site.locateInConfig(value, configFile, occurrence);
+    return { file: path.relative(rootDir, file), line };
+  };
+}
+
+// Check that a nav or sidebar link points to a published page
+function checkLinkTarget(site, entry, location, source) {
+  const { link, resolved } = entry;
+
+  if (/^[a-z]+:/i.test(resolved) || resolved.startsWith('//')) return;
+
+  if (!resolved.startsWith('/')) {
+    warnings.push({
+      type: 'relative-config-link',
+      ...location,
+      message: `${source} link "${link}" is relative and resolves differently on every page, add a base`
+    });
+    return;
+  }
+
+  const result = site.resolveLink(resolved, null);
+  if (result.kind === 'page') {
+    // A sidebar entry that leads outside its section makes the sidebar vanish
+    if (entry.key && !result.page.url.startsWith(entry.key)) {
+      warnings.push({
+        type: 'sidebar-link-outside-scope',
+        ...location,
+        message: `${source} link "${link}" leaves the sidebar section ${entry.key} (${result.page.url})`
+      });
+    }
+    return;
+  }
+
+  if (result.kind === 'asset') {
+    if (!result.exists) {
+      errors.push({
+        type: 'missing-config-target',
+        ...location,
+        message: `${source} link "${link}" points to a missing file ${path.relative(rootDir, result.file)}`
+      });
+    }
+    return;
+  }
+
+  errors.push({
+    type: 'missing-config-target',
+    ...location,
+    message: result.kind === 'missing'
+      ? `${source} link "${link}" resolves to ${resolved}, but no page is published at ${result.url}`
+      : `${source} link "${link}": ${result.reason}`
+  });
+}
+
+// Check nav, sidebar and logo of one theme config
+function checkThemeConfig(site, themeConfig, configFile, label, locate) {
+  const pagePaths = site.pages.map(page => '/' + page.outputFile);
+  let count = 0;
+
+  collectNavLinks(themeConfig.nav).forEach(entry => {
+    count++;
+    checkLinkTarget(site, entry, locate(entry.link, configFile), `${label} nav`);
+  });
+
+  getSidebars(themeConfig.sidebar).forEach(({ key, base, items }) => {
+    if (key && !pagePaths.some(p => p.startsWith(key.startsWith('/') ? key : '/' + key))) {
+      warnings.push({
+        type: 'unused-sidebar',
+        ...locate(key, configFile),
+        message: `${label} sidebar ${key} does not match any page`
+      });
+    }
+    collectSidebarLinks(items, base, key).forEach(entry => {
+      count++;
+      checkLinkTarget(site, entry, locate(entry.link, configFile), `${label} sidebar`);
+    });
+  });
+
+  const logo = typeof themeConfig.logo === 'string'
+    ? [themeConfig.logo]
+    : Object.values(themeConfig.logo || {}).filter(value => typeof value === 'string' && value.startsWith('/'));
+  logo.forEach(src => {
+    count++;
+    checkLinkTarget(site, { link: src, resolved: src }, locate(src, configFile), `${label} logo`);
+  });
+
+  return count;
+}
+
+// GitHub style "owner/repo" of the repository this package lives in
+function getOwnRepository() {
+  const pkg = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf-8'));
+  const url = typeof pkg.repository === 'string' ? pkg.repository : pkg.repository?.url || '';
+  const match = url.match(/github\.com[/:]([^/]+\/[^/.]+)/);
+  return match ? match[1] : null;
+}
+
+// Check that editLink.pattern turns every page into an existing source file
+function checkEditLink(site, editLink, pages, configFile, label, locate) {
+  if (!editLink || !editLink.pattern) return;
+
+  const location = typeof editLink.pattern === 'string'
+    ? locate(editLink.pattern, configFile)
+    : { file: path.relative(rootDir, configFile), line: null };
+  const ownRepository = getOwnRepository();
+  const missing = [];
+  const repositories = new Set();
+
+  pages.forEach(page => {
+    const pageData = { filePath: page.source, relativePath: page.outputFile.replace(/\.html$/, '.md') };
+    const url = typeof editLink.pattern === 'function'
+      ? editLink.pattern(pageData)
+      : editLink.pattern.replace(/:path/g, page.source);
+
+    let pathname;
+    try {
+      pathname = decodeURI(new URL(url).pathname);
+    } catch (e) {
+      missing.push({ page, reason: `invalid URL ${url}` });
+      return;
+    }
+
+    // GitHub: /owner/repo/edit/branch/path, GitLab: /owner/repo/-/edit/branch/path
+    const match = pathname.match(/^\/([^/]+\/[^/]+)\/(?:-\/)?(?:edit|blob)\/[^/]+\/(.+)$/);
+    if (!match) {
+      missing.push({ page, reason: `cannot find a repository path in ${url}` });
+      return;
+    }
+    repositories.add(match[1]);
+    if (!fs.existsSync(path.join(rootDir, match[2]))) {
+      missing.push({ page, reason: `${match[2]} does not exist` });
+    }
+  });
+
+  if (missing.length > 0) {
+    errors.push({
+      type: 'edit-link-mismatch',
+      ...location,
+      message: `${label} editLink.pattern maps ${missing.length}/${pages.length} pages to missing sources, ` +
+        `e.g. ${missing[0].page.source}: ${missing[0].reason}`
+    });
+  }
+
+  // Edit links into another repository 404 even when the paths match
+  if (ownRepository) {
+    repositories.forEach(repository => {
+      if (repository !== ownRepository) {
+        errors.push({
+          type: 'edit-link-repository',
+          ...location,
+          message: `${label} editLink.pattern points to ${repository}, but the pages live in ${ownRepository}`
+        });
+      }
+    });
+  }
+}
+
+// Main check function
+async function checkConfig() {
+  console.log('🔍 Checking VitePress config links...\n');
+
+  const site = await loadSite();
+  const locate = createLocator(site);
+  const siteThemeConfig = site.config.userConfig.themeConfig || {};
+  let totalLinks = checkThemeConfig(site, siteThemeConfig, site.config.configPath, 'Site', locate);
+
+  site.locales.forEach(locale => {
+    const label = `[${locale.key}]`;
+    totalLinks += checkThemeConfig(site, locale.themeConfig, locale.configFile, label, locate);
+
+    const editLink = locale.themeConfig.editLink || siteThemeConfig.editLink;
+    const editLinkFile = locale.themeConfig.editLink ? locale.configFile : site.config.configPath;
+    const pages = site.pages.filter(page => page.locale === locale.key);
+    checkEditLink(site, editLink, pages, editLinkFile, label, locate);
+  });
+
+  console.log(`📊 Statistics:`);
+  console.log(`   Locales: ${site.locales.map(locale => locale.key).join(', ')}`);
+  console.log(`   Nav, sidebar and logo links: ${totalLinks}`);
+  console.log(`   Pages: ${site.pages.length}\n`);
+
+  // Report errors
+  if (errors.length > 0) {
+    console.log(`❌ Found ${errors.length} errors:\n`);
+    errors.forEach(error => {
+      console.log(`   ${error.file}${error.line ? ':' + error.line : ''}`);
+      console.log(`   → ${error.message}\n`);
+    });
+  } else {
+    console.log('✅ All config links point to existing pages!\n');
+  }
+
+  // Report warnings
+  if (warnings.length > 0) {
+    console.log(`⚠️  Found ${warnings.length} warnings:\n`);
+    warnings.forEach(warning => {
+      console.log(`   ${warning.file}${warning.line ? ':' + warning.line : ''}`);
+      console.log(`   → ${warning.message}\n`);
+    });
+  }
+
+  return errors.length === 0;
+}
+
+// Run the check
+const success = await checkConfig();
+process.exit(success ? 0 : 1);
@@ -1,6 +1,16 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { splitSections, alignSections, describeCode, displayWidth } from './lib/sections.js';
+import { normalizeCode, isComparableLanguage } from './lib/code-blocks.js';
+import { diffLines, formatUnifiedDiff } from './lib/diff.js';
+import { extractProse, CJK } from './lib/prose.js';
+import { parseFrontmatter, loadFrontmatterSchema, schemaForLayout, validateFrontmatter, compareFrontmatter } from './lib/frontmatter.js';
+import { loadSite } from './lib/site.js';
+import { parseMarkdown } from './lib/markdown.js';
+import { loadGlossary, renderingsFor, mentions, findForbiddenTerms } from './lib/glossary.js';
+import { getRepositoryRoot, getLastCommit, getCommitsBetween, blameLines, shortHash, UNCOMMITTED } from './lib/git-history.js';
+import { escapeRegExp } from './lib/regex.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -8,230 +18,537 @@ const __dirname = path.dirname(__filename);
 const docsDir = path.join(__dirname, '../docs');
 const errors = [];
 const warnings = [];
+const staleTranslations = [];
+const sectionMaps = [];
+const codeStats = { compared: 0, drifted: 0 };
+const termStats = { checked: 0, forbidden: 0, inconsistent: 0 };
 
-// Get all markdown files in a language directory
-function getMarkdownFiles(langDir, baseDir = langDir, fileList = []) {
-  const files = fs.readdirSync(langDir);
-  
-  files.forEach(file => {
-    const filePath = path.join(langDir, file);
-    const stat = fs.statSync(filePath);
-    
-    if (stat.isDirectory()) {
-      if (!file.startsWith('.')) {
-        getMarkdownFiles(filePath, baseDir, fileList);
-      }
-    } else if (file.endsWith('.md')) {
-      const relativePath = path.relative(baseDir, filePath);
-      fileList.push(relativePath);
-    }
-  });
-  
-  return fileList;
-}
+const frontmatterSchema = loadFrontmatterSchema();
+const glossary = loadGlossary();
+const untranslatedConfig = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'config/untranslated.json'), 'utf-8')
+);
+
+// Command line options: --reference <locale key> picks the locale every other
+// locale is compared against (default: the root locale)
+const args = process.argv.slice(2);
+const referenceArg = args.includes('--reference') ? args[args.indexOf('--reference') + 1] : undefined;
+
+// Longest diff printed per code block
+const MAX_DIFF_LINES = 40;
 
-// Extract structure from markdown
+// Extract structure from markdown; headings, code blocks and diagrams are
+// compared per section (compareSections)
 function extractStructure(content) {
-  const structure = {
-    headers: [],
-    codeBlocks: 0,
-    mermaidDiagrams: 0,
-    links: 0,
-    images: 0
+  const { links } = parseMarkdown(content);
+  return {
+    images: links.filter(link => link.image).length
   };
-  
-  const lines = content.split('\n');
-  let inCodeBlock = false;
-  let codeBlockLang = '';
-  
-  lines.forEach(line => {
-    // Headers
-    const headerMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    if (headerMatch) {
-      structure.headers.push({
-        level: headerMatch[1].length,
-        text: headerMatch[2]
-      });
-    }
-    
-    // Code blocks
-    if (line.startsWith('```')) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        codeBlockLang = line.substring(3).trim();
-        structure.codeBlocks++;
-        if (codeBlockLang === 'mermaid') {
-          structure.mermaidDiagrams++;
-        }
-      } else {
-        inCodeBlock = false;
-      }
-    }
-    
-    // Links
-    const linkMatches = line.match(/\[([^\]]+)\]\(([^)]+)\)/g);
-    if (linkMatches) {
-      structure.links += linkMatches.length;
-    }
-    
-    // Images
-    const imageMatches = line.match(/!\[([^\]]*)\]\(([^)]+)\)/g);
-    if (imageMatches) {
-      structure.images += imageMatches.length;
-    }
-  });
-  
-  return structure;
 }
 
 // Compare structures
-function compareStructures(zhStructure, enStructure, relativePath) {
-  // Check header count
-  if (zhStructure.headers.length !== enStructure.headers.length) {
+function compareStructures(refStructure, otherStructure, pair) {
+  // Check images
+  if (refStructure.images !== otherStructure.images) {
     warnings.push({
-      type: 'header-count-mismatch',
-      file: relativePath,
-      message: `Header count mismatch: ZH has ${zhStructure.headers.length}, EN has ${enStructure.headers.length}`
+      type: 'image-mismatch',
+      file: pair.other.source,
+      message: `Image count mismatch: ${pair.ref.code} has ${refStructure.images}, ` +
+        `${pair.other.code} has ${otherStructure.images}`
     });
   }
-  
-  // Check header levels
-  const minHeaders = Math.min(zhStructure.headers.length, enStructure.headers.length);
-  for (let i = 0; i < minHeaders; i++) {
-    if (zhStructure.headers[i].level !== enStructure.headers[i].level) {
+}
+
+function sectionLabel(section) {
+  return section.level === 0 ? '(intro)' : `${'#'.repeat(section.level)} ${section.title}`;
+}
+
+// Align the heading outlines of a page and its translation and report where
+// they diverge: sections only one locale has, sections in a different order,
+// different heading levels and sections whose code blocks or diagrams differ
+function compareSections(refSections, otherSections, pair) {
+  const { ref, other } = pair;
+  const rows = alignSections(refSections, otherSections);
+  const sides = { a: ref, b: other };
+  const prose = { a: sectionProse(ref.content, refSections), b: sectionProse(other.content, otherSections) };
+  let diverges = false;
+
+  rows.forEach((row, index) => {
+    // Sections only one locale has: say where the other locale would need it
+    ['a', 'b'].forEach(key => {
+      const otherKey = key === 'a' ? 'b' : 'a';
+      const section = row[key];
+      if (!section || row[otherKey]) return;
+      const previous = rows.slice(0, index).reverse().find(r => r[otherKey] && !r.moved);
+      diverges = true;
+      warnings.push({
+        type: 'missing-section',
+        file: sides[key].source,
+        line: section.line,
+        message: `Section only in ${sides[key].code}: ${sectionLabel(section)} ${describeCode(section)}`.trimEnd() +
+          ` — missing from ${sides[otherKey].source}` +
+          (previous ? ` after line ${previous[otherKey].line} (${sectionLabel(previous[otherKey])})` : '')
+      });
+    });
+    if (!row.a || !row.b) return;
+
+    if (row.moved) {
+      diverges = true;
+      warnings.push({
+        type: 'reordered-section',
+        file: other.source,
+        line: row.b.line,
+        message: `Reordered section: ${sectionLabel(row.b)} is section ${otherSections.indexOf(row.b) + 1} in ${other.code} ` +
+          `but section ${refSections.indexOf(row.a) + 1} in ${ref.code} (${ref.source}:${row.a.line} ${sectionLabel(row.a)})`
+      });
+    }
+
+    if (row.a.level !== row.b.level) {
+      diverges = true;
       warnings.push({
         type: 'header-level-mismatch',
-        file: relativePath,
-        message: `Header ${i + 1} level mismatch: ZH is H${zhStructure.headers[i].level}, EN is H${enStructure.headers[i].level}`
+        file: other.source,
+        line: row.b.line,
+        message: `Heading level mismatch: ${sectionLabel(row.b)} is H${row.b.level} in ${other.code}, ` +
+          `${ref.code}:${row.a.line} ${sectionLabel(row.a)} is H${row.a.level}`
       });
     }
+
+    const refCode = row.a.codeBlocks.map(block => block.lang);
+    const otherCode = row.b.codeBlocks.map(block => block.lang);
+    if (refCode.join() !== otherCode.join()) {
+      diverges = true;
+      const lines = section => section.codeBlocks.map(block => block.line).join(', ');
+      const where = section => (section.codeBlocks.length === 0 ? ''
+        : ` (line${section.codeBlocks.length > 1 ? 's' : ''} ${lines(section)})`);
+      warnings.push({
+        type: row.a.codeBlocks.some(b => b.lang === 'mermaid') || row.b.codeBlocks.some(b => b.lang === 'mermaid')
+          ? 'mermaid-mismatch'
+          : 'code-block-mismatch',
+        file: other.source,
+        line: row.b.line,
+        message: `Code blocks differ in ${sectionLabel(row.b)}: ${other.code} ${describeCode(row.b) || '[]'}${where(row.b)}, ` +
+          `${ref.code}:${row.a.line} ${sectionLabel(row.a)} ${describeCode(row.a) || '[]'}${where(row.a)}`
+      });
+    } else {
+      row.a.codeBlocks.forEach((block, i) => compareCodeBlocks(block, row.b.codeBlocks[i], pair));
+    }
+
+    compareTerms(row, prose, sides);
+  });
+
+  if (diverges) {
+    sectionMaps.push({ pair, rows });
   }
-  
-  // Check code blocks
-  if (zhStructure.codeBlocks !== enStructure.codeBlocks) {
+}
+
+// Prose of every section of a page, for the terminology checks
+function sectionProse(content, sections) {
+  const blocks = extractProse(content);
+  return new Map(sections.map(section => [
+    section,
+    blocks
+      .filter(block => block.line >= section.line && block.line <= section.endLine)
+      .map(block => block.text)
+      .join('\n')
+  ]));
+}
+
+// Glossary terms one section of a translated pair uses and the other does
+// not: the other locale translated the term differently (or dropped a name
+// that is never translated)
+function compareTerms(row, prose, sides) {
+  const texts = { a: prose.a.get(row.a), b: prose.b.get(row.b) };
+
+  glossary.forEach(entry => {
+    const renderings = { a: renderingsFor(entry, sides.a.code), b: renderingsFor(entry, sides.b.code) };
+    if (!renderings.a || !renderings.b) return;
+    const used = { a: mentions(texts.a, renderings.a), b: mentions(texts.b, renderings.b) };
+    if (used.a || used.b) termStats.checked++;
+    if (used.a === used.b) return;
+
+    const [key, otherKey] = used.a ? ['b', 'a'] : ['a', 'b'];
+    const expected = renderings[key].map(({ rendering }) => `"${rendering}"`).join(', ');
+    termStats.inconsistent++;
     warnings.push({
-      type: 'code-block-mismatch',
-      file: relativePath,
-      message: `Code block count mismatch: ZH has ${zhStructure.codeBlocks}, EN has ${enStructure.codeBlocks}`
+      type: 'inconsistent-term',
+      file: sides[key].source,
+      line: row[key].line,
+      message: entry.keep
+        ? `"${entry.term}" is never translated but ${sectionLabel(row[key])} does not mention it ` +
+          `(${sides[otherKey].code}:${row[otherKey].line} ${sectionLabel(row[otherKey])} does)`
+        : `Glossary term "${entry.term}" is used in ${sides[otherKey].code}:${row[otherKey].line} ` +
+          `${sectionLabel(row[otherKey])} but ${sectionLabel(row[key])} has none of ${expected}`
     });
-  }
-  
-  // Check mermaid diagrams
-  if (zhStructure.mermaidDiagrams !== enStructure.mermaidDiagrams) {
-    warnings.push({
-      type: 'mermaid-mismatch',
-      file: relativePath,
-      message: `Mermaid diagram count mismatch: ZH has ${zhStructure.mermaidDiagrams}, EN has ${enStructure.mermaidDiagrams}`
+  });
+}
+
+// Variants of glossary terms a locale must not use
+function checkForbiddenTerms(side) {
+  extractProse(side.content).forEach(block => {
+    findForbiddenTerms(block.text, glossary, side.code).forEach(({ entry, variant }) => {
+      const canonical = renderingsFor(entry, side.code)[0].rendering;
+      termStats.forbidden++;
+      errors.push({
+        type: 'forbidden-term',
+        file: side.source,
+        line: block.line,
+        message: `Use "${canonical}" for "${entry.term}", not "${variant}" (scripts/config/glossary.json)`
+      });
     });
+  });
+}
+
+// Internal link without its locale prefix, so /guide/x and /en/guide/x compare equal
+function toLocaleNeutralLink(link, prefix) {
+  return prefix !== '/' && typeof link === 'string' && link.startsWith(prefix) ? link.slice(prefix.length - 1) : link;
+}
+
+// Validate the frontmatter of a page against the schema of its layout
+function validatePageFrontmatter(side) {
+  const frontmatter = parseFrontmatter(side.content);
+  if (frontmatter.error) {
+    errors.push({
+      type: 'invalid-frontmatter',
+      file: side.source,
+      line: frontmatter.error.line,
+      message: `Frontmatter is not valid YAML: ${frontmatter.error.message}`
+    });
+    return;
   }
-  
-  // Check images
-  if (zhStructure.images !== enStructure.images) {
+  const schema = schemaForLayout(frontmatterSchema, frontmatter.data.layout);
+  validateFrontmatter(frontmatter.data, schema, frontmatterSchema).forEach(problem => {
+    errors.push({
+      type: 'invalid-frontmatter',
+      file: side.source,
+      message: `Frontmatter ${problem.path} ${problem.message}`
+    });
+  });
+}
+
+// Compare the frontmatter of a page and its translation: everything that is
+// not translated text must match
+function compareFrontmatterPair(pair) {
+  const { ref, other } = pair;
+  const refFrontmatter = parseFrontmatter(ref.content);
+  const otherFrontmatter = parseFrontmatter(other.content);
+  if (refFrontmatter.error || otherFrontmatter.error) return;
+
+  const prefixes = [ref.locale.link, other.locale.link];
+  compareFrontmatter(refFrontmatter.data, otherFrontmatter.data,
+    schemaForLayout(frontmatterSchema, refFrontmatter.data.layout), frontmatterSchema, {
+      labels: [ref.code, other.code],
+      mapLink: (link, side) => toLocaleNeutralLink(link, prefixes[side])
+    }).forEach(problem => {
     warnings.push({
-      type: 'image-mismatch',
-      file: relativePath,
-      message: `Image count mismatch: ZH has ${zhStructure.images}, EN has ${enStructure.images}`
+      type: 'frontmatter-mismatch',
+      file: other.source,
+      message: `Frontmatter ${problem.path} ${problem.message}`
     });
-  }
+  });
 }
 
-// Validate code blocks
-function validateCodeBlocks(content, filePath) {
-  const lines = content.split('\n');
-  let inCodeBlock = false;
-  let codeBlockStart = 0;
-  let codeBlockLang = '';
-  
-  lines.forEach((line, index) => {
-    if (line.startsWith('```')) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        codeBlockStart = index + 1;
-        codeBlockLang = line.substring(3).trim();
-      } else {
-        inCodeBlock = false;
-        // Basic validation: check if code block is not empty
-        const codeContent = lines.slice(codeBlockStart, index).join('\n').trim();
-        if (!codeContent && codeBlockLang !== 'mermaid') {
-          warnings.push({
-            type: 'empty-code-block',
-            file: filePath,
-            line: codeBlockStart,
-            message: `Empty code block at line ${codeBlockStart}`
-          });
-        }
+// Product names and other terms that are the same in every language
+const ignoredTerms = untranslatedConfig.ignore.length > 0
+  ? new RegExp(untranslatedConfig.ignore.map(term => `(?<![\\w-])${escapeRegExp(term)}(?![\\w-])`).join('|'), 'g')
+  : null;
+
+// Languages written mostly in CJK characters; every other locale is
+// expected to be written in a Latin script
+const CJK_LANGUAGES = new Set(['zh', 'ja', 'ko']);
+
+// Thresholds for a page: script defaults overridden per page
+function untranslatedThresholds(side) {
+  const script = CJK_LANGUAGES.has(side.code.toLowerCase()) ? 'cjk' : 'latin';
+  return { script, ...untranslatedConfig[script], ...untranslatedConfig.pages[side.source] };
+}
+
+// Find prose left in the wrong language: CJK text in Latin-script pages and
+// paragraphs of Latin-only text in CJK pages. Code, inline code and URLs are
+// not prose and are skipped.
+function checkUntranslated(side) {
+  const { script, minLatinWords, minCjkChars } = untranslatedThresholds(side);
+
+  extractProse(side.content).forEach(block => {
+    const text = ignoredTerms ? block.text.replace(ignoredTerms, ' ') : block.text;
+
+    if (script === 'latin' && minCjkChars) {
+      const runs = (text.match(new RegExp(`${CJK.source}+`, 'g')) || [])
+        .filter(run => run.length >= minCjkChars);
+      if (runs.length > 0) {
+        warnings.push({
+          type: 'untranslated-content',
+          file: side.source,
+          line: block.line,
+          message: `CJK text in ${side.code} page: ${runs.join(' … ').slice(0, 60)}`
+        });
+      }
+    }
+
+    if (script === 'cjk' && minLatinWords && !CJK.test(text)) {
+      const words = text.match(/[A-Za-z][A-Za-z'-]*/g) || [];
+      if (words.length >= minLatinWords) {
+        warnings.push({
+          type: 'untranslated-content',
+          file: side.source,
+          line: block.line,
+          message: `Untranslated paragraph (${words.length} words, no ${side.code} text): ${block.text.slice(0, 60)}…`
+        });
       }
     }
   });
-  
-  // Check for unclosed code blocks
-  if (inCodeBlock) {
-    errors.push({
-      type: 'unclosed-code-block',
-      file: filePath,
-      line: codeBlockStart,
-      message: `Unclosed code block starting at line ${codeBlockStart}`
+}
+
+// Code that is localised on purpose (e.g. translated table headers) carries
+// <!-- allow-code-drift --> on the line above the fence in either locale
+const codeDriftOptOut = /<!--\s*allow-code-drift\s*-->/;
+
+// Compare a code block with its counterpart, ignoring comments and string
+// literals, and report drifted code with a unified diff
+function compareCodeBlocks(refBlock, otherBlock, pair) {
+  const { ref, other } = pair;
+  if (!isComparableLanguage(refBlock.lang)) return;
+  if ([refBlock, otherBlock].some(block => codeDriftOptOut.test(block.before))) return;
+  codeStats.compared++;
+
+  const refLines = refBlock.code.split('\n');
+  const otherLines = otherBlock.code.split('\n');
+  const refCode = normalizeCode(refBlock.code, refBlock.lang);
+  const otherCode = normalizeCode(otherBlock.code, otherBlock.lang);
+  const edits = diffLines(refCode, otherCode, (a, b) => a.text === b.text);
+  const changes = edits.filter(edit => edit.op !== ' ').length;
+  if (changes === 0) return;
+
+  codeStats.drifted++;
+  const source = (lines, normalized, block) => index => ({
+    text: lines[normalized[index].index],
+    line: block.line + 1 + normalized[index].index
+  });
+  const diff = formatUnifiedDiff(edits, {
+    labelA: `${ref.source}:${refBlock.line}`,
+    labelB: `${other.source}:${otherBlock.line}`,
+    lineA: source(refLines, refCode, refBlock),
+    lineB: source(otherLines, otherCode, otherBlock)
+  });
+  warnings.push({
+    type: 'code-drift',
+    file: other.source,
+    line: otherBlock.line,
+    message: `Code differs from ${ref.source}:${refBlock.line} (${changes} lines, comments and strings ignored)`,
+    details: diff.length > MAX_DIFF_LINES
+      ? [...diff.slice(0, MAX_DIFF_LINES), `... ${diff.length - MAX_DIFF_LINES} more diff lines`]
+      : diff
+  });
+}
+
+// Print the aligned outlines of the pages whose sections diverge
+function reportSectionMaps() {
+  if (sectionMaps.length === 0) return;
+
+  console.log(`🧭 Section alignment of ${sectionMaps.length} diverging pages:\n`);
+  sectionMaps.forEach(({ pair, rows }) => {
+    console.log(`   ${pair.other.source}`);
+    rows.forEach(row => {
+      const cell = (lang, section) => (section
+        ? `${lang}:${section.line} ${sectionLabel(section)} ${describeCode(section)}`.trimEnd()
+        : `${lang}: (missing)`);
+      const marker = !row.a || !row.b ? '✗' : row.moved ? '↕' : ' ';
+      const left = cell(pair.ref.code, row.a);
+      console.log(`   ${marker} ${left}${' '.repeat(Math.max(1, 48 - displayWidth(left)))} ⇄ ${cell(pair.other.code, row.b)}`);
     });
+    console.log();
+  });
+}
+
+// Validate code blocks
+function validateCodeBlocks(content, filePath) {
+  parseMarkdown(content).codeBlocks.forEach(block => {
+    // Basic validation: check if code block is not empty
+    if (!block.code.trim() && block.lang !== 'mermaid') {
+      warnings.push({
+        type: 'empty-code-block',
+        file: filePath,
+        line: block.line,
+        message: `Empty code block at line ${block.line}`
+      });
+    }
+    
+    // Check for unclosed code blocks
+    if (!block.closed) {
+      errors.push({
+        type: 'unclosed-code-block',
+        file: filePath,
+        line: block.line,
+        message: block.container
+          ? `Unclosed code block starting at line ${block.line}, it runs to the end of the ::: ${block.container} container`
+          : `Unclosed code block starting at line ${block.line}`
+      });
+    }
+  });
+}
+
+// Sections of a page with the newest commit among their lines (git blame)
+function getSectionHistory(filePath, content) {
+  const blame = blameLines(filePath);
+  if (!blame) return null;
+  return splitSections(content).map(section => {
+    const last = blame
+      .slice(section.line - 1, section.endLine)
+      .reduce((newest, commit) => (commit.time > newest.time ? commit : newest), { hash: UNCOMMITTED, time: 0 });
+    return { ...section, last };
+  });
+}
+
+// Compare when a page and its translation last changed, per file and per
+// heading section, and record which side fell behind
+function checkFreshness(pair) {
+  const ref = { ...pair.ref, last: getLastCommit(pair.ref.path) };
+  const other = { ...pair.other, last: getLastCommit(pair.other.path) };
+  if (!ref.last || !other.last || ref.last.hash === other.last.hash || ref.last.time === other.last.time) return;
+
+  const [newer, older] = other.last.time > ref.last.time ? [other, ref] : [ref, other];
+  const repoRoot = getRepositoryRoot(docsDir);
+  const newerFile = path.relative(repoRoot, newer.path);
+  const commits = getCommitsBetween(newer.path, older.last.hash, newer.last.hash === UNCOMMITTED ? 'HEAD' : newer.last.hash);
+  const review = newer.last.hash === UNCOMMITTED
+    ? `git diff ${older.last.hash.slice(0, 7)} -- ${newerFile}`
+    : `git log -p ${older.last.hash.slice(0, 7)}..${newer.last.hash.slice(0, 7)} -- ${newerFile}`;
+
+  // Sections are paired through the outline alignment, so a section added on
+  // the newer side shows up without a counterpart
+  const newerSections = getSectionHistory(newer.path, newer.content);
+  const olderSections = getSectionHistory(older.path, older.content);
+  const sections = newerSections && olderSections
+    ? alignSections(newerSections, olderSections)
+      .filter(row => row.a && (!row.b || row.a.last.time > row.b.last.time))
+      .map(row => ({ newer: row.a, older: row.b }))
+    : [];
+
+  staleTranslations.push({
+    file: older.source,
+    stale: older.code,
+    source: newer.code,
+    olderLast: older.last,
+    newerLast: newer.last,
+    commits,
+    review,
+    sections
+  });
+}
+
+// Print the translations that are older than their counterpart
+function reportFreshness() {
+  if (staleTranslations.length === 0) {
+    console.log('✅ All translations are up to date with each other!\n');
+    return;
   }
+
+  console.log(`🕒 Found ${staleTranslations.length} translations older than their counterpart:\n`);
+  staleTranslations.forEach(entry => {
+    const formatDate = commit => new Date(commit.time * 1000).toISOString().slice(0, 10);
+    console.log(`   ${entry.file}`);
+    console.log(`   → ${entry.source} changed after ${entry.stale}: ` +
+      `${entry.stale} last ${shortHash(entry.olderLast.hash)} (${formatDate(entry.olderLast)}), ` +
+      `${entry.source} last ${shortHash(entry.newerLast.hash)} (${formatDate(entry.newerLast)})`);
+    entry.commits.forEach(commit => {
+      console.log(`     ${shortHash(commit.hash)} ${commit.subject}`);
+    });
+    if (entry.newerLast.hash === UNCOMMITTED) {
+      console.log(`     ${shortHash(UNCOMMITTED)} ${entry.newerLast.subject}`);
+    }
+    console.log(`     Review: ${entry.review}`);
+    entry.sections.forEach(({ newer, older }) => {
+      console.log(`     ${entry.source}:${newer.line} ${sectionLabel(newer)} (${shortHash(newer.last.hash)}) → ` +
+        (older
+          ? `${entry.stale}:${older.line} ${sectionLabel(older)} (${shortHash(older.last.hash)})`
+          : `no ${entry.stale} counterpart`));
+    });
+    console.log();
+  });
 }
 
 // Main check function
-function checkConsistency() {
+async function checkConsistency() {
   console.log('🔍 Checking content consistency...\n');
   
-  const zhDir = path.join(docsDir, 'zh');
-  const enDir = path.join(docsDir, 'en');
+  const site = await loadSite({ reference: referenceArg });
+  const reference = site.referenceLocale;
+  const otherLocales = site.locales.filter(locale => locale !== reference);
+  const refPages = site.localePages(reference.key);
   
-  const zhFiles = getMarkdownFiles(zhDir, zhDir);
-  const enFiles = getMarkdownFiles(enDir, enDir);
+  const readSide = (locale, page) => ({
+    locale,
+    code: locale.code,
+    source: page.source,
+    path: page.file,
+    content: fs.readFileSync(page.file, 'utf-8')
+  });
+  const expectedSource = (locale, localPath) => (locale.dir ? `${locale.dir}/${localPath}` : localPath);
   
-  console.log(`📊 Statistics:`);
-  console.log(`   Chinese files: ${zhFiles.length}`);
-  console.log(`   English files: ${enFiles.length}\n`);
+  // Check if every page exists in every locale
+  const pairs = [];
+  otherLocales.forEach(locale => {
+    const pages = site.localePages(locale.key);
+    
+    refPages.forEach((page, localPath) => {
+      if (!pages.has(localPath)) {
+        errors.push({
+          type: 'missing-translation',
+          file: expectedSource(locale, localPath),
+          message: `Missing ${locale.label} translation for ${page.source}`
+        });
+      } else {
+        pairs.push({ ref: readSide(reference, page), other: readSide(locale, pages.get(localPath)) });
+      }
+    });
+    
+    pages.forEach((page, localPath) => {
+      if (!refPages.has(localPath)) {
+        errors.push({
+          type: 'missing-translation',
+          file: expectedSource(reference, localPath),
+          message: `Missing ${reference.label} page for ${page.source}`
+        });
+      }
+    });
+  });
   
-  // Check if all files exist in both languages
-  const zhSet = new Set(zhFiles);
-  const enSet = new Set(enFiles);
+  // Translation freshness needs the local git history
+  const hasHistory = Boolean(getRepositoryRoot(docsDir));
+  if (!hasHistory) {
+    console.log('⚠️  Not a git work tree, skipping translation freshness\n');
+  }
   
-  zhFiles.forEach(file => {
-    if (!enSet.has(file)) {
-      errors.push({
-        type: 'missing-translation',
-        file: `en/${file}`,
-        message: `Missing English translation for zh/${file}`
-      });
+  // Compare structure of matching pages
+  pairs.forEach(pair => {
+    compareStructures(extractStructure(pair.ref.content), extractStructure(pair.other.content), pair);
+    compareSections(splitSections(pair.ref.content), splitSections(pair.other.content), pair);
+    compareFrontmatterPair(pair);
+    
+    if (hasHistory) {
+      checkFreshness(pair);
     }
   });
   
-  enFiles.forEach(file => {
-    if (!zhSet.has(file)) {
-      errors.push({
-        type: 'missing-translation',
-        file: `zh/${file}`,
-        message: `Missing Chinese translation for en/${file}`
-      });
-    }
+  // Checks of single pages, in every locale
+  site.locales.forEach(locale => {
+    site.localePages(locale.key).forEach(page => {
+      const side = readSide(locale, page);
+      validatePageFrontmatter(side);
+      checkUntranslated(side);
+      checkForbiddenTerms(side);
+      validateCodeBlocks(side.content, side.source);
+    });
   });
   
-  // Compare structure of matching files
-  const commonFiles = zhFiles.filter(file => enSet.has(file));
-  
-  commonFiles.forEach(file => {
-    const zhPath = path.join(zhDir, file);
-    const enPath = path.join(enDir, file);
-    
-    const zhContent = fs.readFileSync(zhPath, 'utf-8');
-    const enContent = fs.readFileSync(enPath, 'utf-8');
-    
-    const zhStructure = extractStructure(zhContent);
-    const enStructure = extractStructure(enContent);
-    
-    compareStructures(zhStructure, enStructure, file);
-    
-    // Validate code blocks
-    validateCodeBlocks(zhContent, `zh/${file}`);
-    validateCodeBlocks(enContent, `en/${file}`);
+  console.log(`📊 Statistics:`);
+  console.log(`   Reference locale: ${reference.label} (${reference.link})`);
+  site.locales.forEach(locale => {
+    console.log(`   ${locale.label} files: ${site.localePages(locale.key).size}`);
   });
+  console.log(`   Code blocks compared: ${codeStats.compared} (${codeStats.drifted} drifted)`);
+  console.log(`   Glossary terms checked: ${termStats.checked} ` +
+    `(${termStats.forbidden} forbidden, ${termStats.inconsistent} inconsistent)\n`);
   
   // Report errors
   if (errors.length > 0) {
@@ -249,15 +566,23 @@ function checkConsistency() {
     console.log(`⚠️  Found ${warnings.length} warnings:\n`);
     warnings.forEach(warning => {
       console.log(`   ${warning.file}${warning.line ? ':' + warning.line : ''}`);
-      console.log(`   → ${warning.message}\n`);
+      console.log(`   → ${warning.message}`);
+      (warning.details || []).forEach(line => console.log(`     ${line}`));
+      console.log();
     });
   } else {
     console.log('✅ No consistency warnings!\n');
   }
   
+  reportSectionMaps();
+  
+  if (hasHistory) {
+    reportFreshness();
+  }
+  
   return errors.length === 0;
 }
 
 // Run the check
-const success = checkConsistency();
+const success = await checkConsistency();
 process.exit(success ? 0 : 1);
@@ -1,95 +1,178 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { collectAnchors, decodeFragment } from './lib/anchors.js';
+import { loadSite, isExternalUrl } from './lib/site.js';
+import { extractLinks } from './lib/links.js';
+import { getAllMarkdownFiles } from './lib/files.js';
+import { checkExternalUrls, createLinkCache } from './lib/external-links.js';
+import { suggestPages, suggestAnchors, findCounterpart, formatLink } from './lib/link-suggestions.js';
+import { applyLinkFixes } from './lib/link-fixer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const docsDir = path.join(__dirname, '../docs');
+const rootDir = path.join(__dirname, '..');
+const externalConfigPath = path.join(__dirname, 'config/external-links.json');
 const errors = [];
 const warnings = [];
+const anchorCache = new Map();
 
-// Get all markdown files
-function getAllMarkdownFiles(dir, fileList = []) {
-  const files = fs.readdirSync(dir);
-  
-  files.forEach(file => {
-    const filePath = path.join(dir, file);
-    const stat = fs.statSync(filePath);
-    
-    if (stat.isDirectory()) {
-      if (!file.startsWith('.') && file !== 'node_modules') {
-        getAllMarkdownFiles(filePath, fileList);
-      }
-    } else if (file.endsWith('.md')) {
-      fileList.push(filePath);
-    }
-  });
-  
-  return fileList;
+// Command line options
+const args = process.argv.slice(2);
+const checkExternal = args.includes('--external');
+const useCache = !args.includes('--no-cache');
+const fixMode = args.includes('--fix');
+const interactive = args.includes('--interactive');
+// --request <module>: the module's default export replaces the HTTP layer of
+// --external (see fetchRequest in lib/external-links.js), e.g. a stub in tests
+const requestModule = args.includes('--request') ? args[args.indexOf('--request') + 1] : undefined;
+
+// Anchor table of a page, built once per file
+function getAnchors(filePath) {
+  if (!anchorCache.has(filePath)) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    anchorCache.set(filePath, collectAnchors(content));
+  }
+  return anchorCache.get(filePath).anchors;
 }
 
-// Extract links from markdown content
-function extractLinks(content, filePath) {
-  const links = [];
-  
-  // Match markdown links [text](url)
-  const markdownLinkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-  let match;
-  
-  while ((match = markdownLinkRegex.exec(content)) !== null) {
-    links.push({
-      text: match[1],
-      url: match[2],
-      line: content.substring(0, match.index).split('\n').length,
-      file: filePath
+// Report duplicate custom heading ids, which VitePress refuses to build
+function checkDuplicateAnchors(file) {
+  getAnchors(file);
+  anchorCache.get(file).duplicates.forEach(({ id, line }) => {
+    errors.push({
+      type: 'duplicate-anchor',
+      file: path.relative(docsDir, file),
+      line,
+      url: `#${id}`,
+      message: `Duplicate custom heading id: #${id}`
     });
-  }
-  
-  return links;
+  });
 }
 
-// Check if internal link exists
-function checkInternalLink(link, sourceFile) {
+// Replacement candidates for a broken link, best first. The URL of a
+// reference-style link is written on its definition line.
+function createFix(link, urls, unambiguous) {
+  if (urls.length === 0) return null;
+  return { file: link.file, line: link.definitionLine || link.line, url: link.url, candidates: urls, unambiguous };
+}
+
+// Check that a fragment points to a heading or element id on the target page
+function checkAnchor(link, targetPath, fragment) {
   const { url, file, line } = link;
+  const anchors = getAnchors(targetPath);
   
-  // Skip anchors for now (would need to parse headers)
-  const urlWithoutAnchor = url.split('#')[0];
-  if (!urlWithoutAnchor) return; // Pure anchor link
+  if (anchors.has(decodeFragment(fragment))) return;
   
-  // Resolve relative path
-  const sourceDir = path.dirname(file);
-  let targetPath;
+  const samePage = targetPath === file;
+  const { candidates, unambiguous } = suggestAnchors(anchors, decodeFragment(fragment));
+  const prefix = url.slice(0, url.indexOf('#') + 1);
+  errors.push({
+    type: 'broken-anchor',
+    file: path.relative(docsDir, file),
+    line,
+    url,
+    message: samePage
+      ? `Broken anchor: #${fragment} does not exist on this page`
+      : `Broken anchor: #${fragment} does not exist in ${path.relative(docsDir, targetPath)}`,
+    fix: createFix(link, candidates.map(c => prefix + c.fragment), unambiguous)
+  });
+}
+
+// Deliberate language-switch links carry an opt-out comment on the same line
+// or the line above: <!-- allow-cross-locale --> (or `# allow-cross-locale`
+// in frontmatter)
+const crossLocaleOptOut = /<!--\s*allow-cross-locale\s*-->|#\s*allow-cross-locale\b/;
+
+function isCrossLocaleAllowed(link, lines) {
+  return [lines[link.line - 1], lines[link.line - 2]]
+    .some(line => line !== undefined && crossLocaleOptOut.test(line));
+}
+
+// Flag links that send a reader into another locale of the site
+function checkCrossLocale(link, targetPage, site, lines) {
+  const sourcePage = site.pageForFile(link.file);
+  if (!sourcePage || !targetPage || sourcePage.locale === targetPage.locale) return;
+  if (isCrossLocaleAllowed(link, lines)) return;
   
-  if (urlWithoutAnchor.startsWith('/')) {
-    // Absolute path from docs root
-    targetPath = path.join(docsDir, urlWithoutAnchor);
-  } else {
-    // Relative path
-    targetPath = path.join(sourceDir, urlWithoutAnchor);
-  }
+  const localeLabel = key => {
+    const locale = site.locales.find(l => l.key === key);
+    return locale ? `${locale.label} (${locale.link})` : key;
+  };
+  // The same page in the reader's own locale is the natural replacement, but
+  // the link may be a language switch that lacks its marker: always confirm
+  const counterpart = findCounterpart(site, targetPage, sourcePage.locale);
+  const fragment = link.url.includes('#') ? link.url.slice(link.url.indexOf('#') + 1) : '';
+  errors.push({
+    type: 'cross-locale-link',
+    file: path.relative(docsDir, link.file),
+    line: link.line,
+    url: link.url,
+    message: `Cross-locale link: ${link.url} leads from ${localeLabel(sourcePage.locale)} ` +
+      `to ${localeLabel(targetPage.locale)}; add <!-- allow-cross-locale --> if intended`,
+    fix: counterpart
+      ? createFix(link, [formatLink(link.url, sourcePage, counterpart, fragment, link.html ? site.base : '/')], false)
+      : null
+  });
+}
+
+// Check if internal link exists, resolving it the way the deployed site
+// routes it (locales, rewrites, base and cleanUrls from the VitePress config)
+function checkInternalLink(link, site, lines) {
+  const { url, file, line } = link;
+  const result = site.resolveLink(url, file, { html: link.html });
   
-  // Add .md if not present and not a directory
-  if (!targetPath.endsWith('.md') && !targetPath.endsWith('/')) {
-    targetPath += '.md';
+  if (result.kind === 'error') {
+    // Base problems have exactly one correct spelling
+    let fix = null;
+    if (url.startsWith(site.base) && !link.html) {
+      fix = createFix(link, ['/' + url.slice(site.base.length)], true);
+    } else if (url.startsWith('/') && link.html) {
+      fix = createFix(link, [site.base + url.slice(1)], true);
+    }
+    errors.push({
+      type: 'broken-internal-link',
+      file: path.relative(docsDir, file),
+      line,
+      url,
+      message: `Broken internal link: ${url} (${result.reason})`,
+      fix
+    });
+    return;
   }
   
-  // Check if file exists
-  if (!fs.existsSync(targetPath)) {
-    // Try without .md (might be a directory with index.md)
-    const dirPath = targetPath.replace(/\.md$/, '');
-    const indexPath = path.join(dirPath, 'index.md');
-    
-    if (!fs.existsSync(indexPath)) {
+  if (result.kind === 'asset') {
+    if (!result.exists) {
       errors.push({
-        type: 'broken-internal-link',
+        type: 'missing-asset',
         file: path.relative(docsDir, file),
         line,
         url,
-        message: `Broken internal link: ${url}`
+        message: `Missing asset: ${url} (expected ${path.relative(docsDir, result.file)})`
       });
     }
+    return;
+  }
+  
+  if (result.kind === 'missing') {
+    const sourcePage = site.pageForFile(file);
+    const { candidates, unambiguous } = suggestPages(site, sourcePage, result.url);
+    const base = link.html ? site.base : '/';
+    errors.push({
+      type: 'broken-internal-link',
+      file: path.relative(docsDir, file),
+      line,
+      url,
+      message: `Broken internal link: ${url} (no page is published at ${result.url})`,
+      fix: createFix(link, candidates.map(c => formatLink(url, sourcePage, c.page, result.fragment, base)), unambiguous)
+    });
+    return;
   }
+  
+  checkCrossLocale(link, result.page, site, lines);
+  if (result.fragment) checkAnchor(link, result.file, result.fragment);
 }
 
 // Check external link (basic validation)
@@ -99,6 +182,7 @@ function checkExternalLink(link) {
   // Basic URL validation
   try {
     new URL(url);
+    return true;
   } catch (e) {
     warnings.push({
       type: 'invalid-url',
@@ -107,33 +191,139 @@ function checkExternalLink(link) {
       url,
       message: `Invalid URL format: ${url}`
     });
+    return false;
+  }
+}
+
+// External links used by the theme config (nav, social links ...)
+function getConfigExternalLinks(site) {
+  const links = new Map();
+  
+  function walk(value, configFile) {
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, configFile));
+    } else if (value && typeof value === 'object') {
+      if (typeof value.link === 'string' && /^https?:\/\//.test(value.link)) {
+        const { file, line } = site.locateInConfig(value.link, configFile);
+        links.set(`${value.link} ${file}:${line}`, { url: value.link, file, line });
+      }
+      Object.values(value).forEach(item => walk(item, configFile));
+    }
   }
+  
+  walk(site.config.userConfig.themeConfig, site.config.configPath);
+  site.locales.forEach(locale => walk(locale.themeConfig, locale.configFile));
+  return [...links.values()];
+}
+
+// Request every external URL and report dead, unreachable and redirected links
+async function checkExternalLiveness(links) {
+  const options = JSON.parse(fs.readFileSync(externalConfigPath, 'utf-8'));
+  const cache = useCache
+    ? createLinkCache(path.join(rootDir, options.cacheFile), options.cacheTtlHours * 60 * 60 * 1000)
+    : null;
+  const urls = [...new Set(links.map(link => link.url))];
+  
+  console.log(`🌐 Checking ${urls.length} external URLs...\n`);
+  
+  const request = requestModule
+    ? (await import(pathToFileURL(path.resolve(requestModule)).href)).default
+    : undefined;
+  
+  const results = await checkExternalUrls(urls, {
+    ...(request ? { request } : {}),
+    cache,
+    allowlist: options.allowlist,
+    concurrency: options.concurrency,
+    retries: options.retries,
+    maxRetryAfter: options.maxRetryAfterMs,
+    timeout: options.timeoutMs,
+    hostInterval: options.hostIntervalMs
+  });
+  
+  const counts = { checked: 0, cached: 0, skipped: 0 };
+  results.forEach(result => {
+    if (result.skipped) counts.skipped++;
+    else if (result.cached) counts.cached++;
+    else counts.checked++;
+  });
+  console.log(`   Requested: ${counts.checked}, from cache: ${counts.cached}, allowlisted: ${counts.skipped}\n`);
+  
+  links.forEach(link => {
+    const result = results.get(link.url);
+    const location = {
+      file: path.relative(docsDir, link.file),
+      line: link.line,
+      url: link.url
+    };
+    
+    if (result.ok) {
+      if (result.redirects.length > 0) {
+        const statuses = result.redirects.map(r => r.status).join(' → ');
+        warnings.push({
+          ...location,
+          type: 'redirected-external-link',
+          message: `Redirected (${statuses}): ${link.url} → ${result.finalUrl}`
+        });
+      }
+      return;
+    }
+    
+    // Only definite answers fail the check, flaky hosts are reported as warnings
+    const dead = result.status !== undefined &&
+      result.status >= 400 && result.status < 500 &&
+      ![401, 403, 429].includes(result.status);
+    (dead ? errors : warnings).push({
+      ...location,
+      type: dead ? 'dead-external-link' : 'unreachable-external-link',
+      message: result.status !== undefined
+        ? `External link returned HTTP ${result.status}: ${link.url}`
+        : `External link could not be reached (${result.error}): ${link.url}`
+    });
+  });
 }
 
 // Main check function
-function checkLinks() {
+async function checkLinks() {
   console.log('🔍 Checking links in documentation...\n');
   
+  const site = await loadSite();
   const markdownFiles = getAllMarkdownFiles(docsDir);
   console.log(`Found ${markdownFiles.length} markdown files\n`);
   
   let totalLinks = 0;
   let internalLinks = 0;
   let externalLinks = 0;
+  const liveCandidates = [];
+  const linksByKind = {};
   
   markdownFiles.forEach(file => {
     const content = fs.readFileSync(file, 'utf-8');
-    const links = extractLinks(content, file);
+    const { links, undefinedReferences } = extractLinks(content, file);
+    const lines = content.split('\n');
+    
+    checkDuplicateAnchors(file);
+    
+    undefinedReferences.forEach(({ label, line }) => {
+      errors.push({
+        type: 'undefined-reference',
+        file: path.relative(docsDir, file),
+        line,
+        url: `[${label}]`,
+        message: `Reference link [${label}] has no definition`
+      });
+    });
     
     links.forEach(link => {
       totalLinks++;
+      linksByKind[link.kind] = (linksByKind[link.kind] || 0) + 1;
       
-      if (link.url.startsWith('http://') || link.url.startsWith('https://')) {
+      if (/^(https?:)?\/\//.test(link.url)) {
         externalLinks++;
-        checkExternalLink(link);
-      } else if (!link.url.startsWith('mailto:')) {
+        if (checkExternalLink(link)) liveCandidates.push(link);
+      } else if (link.url && !isExternalUrl(link.url)) {
         internalLinks++;
-        checkInternalLink(link);
+        checkInternalLink(link, site, lines);
       }
     });
   });
@@ -141,14 +331,23 @@ function checkLinks() {
   console.log(`📊 Statistics:`);
   console.log(`   Total links: ${totalLinks}`);
   console.log(`   Internal links: ${internalLinks}`);
-  console.log(`   External links: ${externalLinks}\n`);
+  console.log(`   External links: ${externalLinks}`);
+  console.log(`   By syntax: ${Object.entries(linksByKind).map(([kind, count]) => `${kind} ${count}`).join(', ')}\n`);
+  
+  if (checkExternal) {
+    await checkExternalLiveness([...liveCandidates, ...getConfigExternalLinks(site)]);
+  }
   
   // Report errors
   if (errors.length > 0) {
     console.log(`❌ Found ${errors.length} broken links:\n`);
     errors.forEach(error => {
-      console.log(`   ${error.file}:${error.line}`);
-      console.log(`   → ${error.message}\n`);
+      console.log(`   ${error.file}${error.line ? ':' + error.line : ''}`);
+      console.log(`   → ${error.message}`);
+      if (error.fix) {
+        console.log(`   💡 Did you mean ${error.fix.candidates.slice(0, 3).join(' or ')}?`);
+      }
+      console.log();
     });
   } else {
     console.log('✅ No broken internal links found!\n');
@@ -158,14 +357,22 @@ function checkLinks() {
   if (warnings.length > 0) {
     console.log(`⚠️  Found ${warnings.length} warnings:\n`);
     warnings.forEach(warning => {
-      console.log(`   ${warning.file}:${warning.line}`);
+      console.log(`   ${warning.file}${warning.line ? ':' + warning.line : ''}`);
       console.log(`   → ${warning.message}\n`);
     });
   }
   
-  return errors.length === 0;
+  const fixes = errors.map(error => error.fix).filter(Boolean);
+  if (fixMode && fixes.length > 0) {
+    await applyLinkFixes(fixes, { interactive, rootDir: docsDir });
+  } else if (fixes.length > 0) {
+    console.log(`🔧 ${fixes.length} links have suggestions, run with --fix to apply the unambiguous ones\n`);
+  }
+  
+  // Broken links --fix rewrote no longer fail the check, every other one does
+  return errors.every(error => error.fix && error.fix.applied);
 }
 
 // Run the check
-const success = checkLinks();
+const success = await checkLinks();
 process.exit(success ? 0 : 1);
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { loadSite } from './lib/site.js';
+import { parseMarkdown } from './lib/markdown.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Command line options: --reference <locale key> picks the locale the
+// diagrams of every other locale are compared with (default: root)
+const args = process.argv.slice(2);
+const referenceArg = args.includes('--reference') ? args[args.indexOf('--reference') + 1] : undefined;
+
+const errors = [];
+const stats = { parsed: 0, failed: 0, compared: 0, types: new Map() };
+
+// The parts of the theme's mermaid.initialize() (docs/.vitepress/theme/index.ts)
+// that change how a diagram is parsed
+const MERMAID_CONFIG = {
+  startOnLoad: false,
+  flowchart: { htmlLabels: true, curve: 'basis' },
+  sequence: { wrap: true }
+};
+
+// Load mermaid the way the theme does in the browser: DOMPurify and the
+// diagram parsers look for window and document when mermaid is imported
+async function loadMermaid() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  const { default: mermaid } = await import('mermaid');
+  mermaid.initialize(MERMAID_CONFIG);
+  return mermaid;
+}
+
+// Mermaid drops directives (%%{init: ...}%%), comments and leading blank
+// lines before parsing, so its line n is the nth line that is left. Returns
+// the index in the original code of each of those lines.
+function parsedLines(code) {
+  const kept = [];
+  let inDirective = false;
+  code.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (inDirective) {
+      inDirective = !trimmed.includes('}%%');
+      return;
+    }
+    if (trimmed.startsWith('%%{')) {
+      inDirective = !trimmed.includes('}%%');
+      return;
+    }
+    if (trimmed.startsWith('%%') || (kept.length === 0 && !trimmed)) return;
+    kept.push(index);
+  });
+  return kept;
+}
+
+// Report a parse error at the markdown line it points at
+function reportParseError(error, block, page) {
+  const kept = parsedLines(block.code);
+  const loc = error.hash && error.hash.loc;
+  const index = loc ? kept[Math.min(loc.first_line, kept.length) - 1] : kept[0];
+  // "Parse error on line 3:\n<excerpt>\n----^\nExpecting ..., got 'X'"
+  const [first, ...rest] = String(error.message || error).split('\n');
+  const isParseError = /^Parse error on line \d+:$/.test(first) && rest.length > 0;
+  errors.push({
+    type: 'mermaid-syntax',
+    file: page.source,
+    line: block.line + 1 + (index === undefined ? 0 : index),
+    message: `Mermaid syntax error: ${isParseError ? rest[rest.length - 1] : first}`,
+    details: isParseError ? rest.slice(0, -1) : rest
+  });
+}
+
+// Node and edge counts of a parsed diagram, for the diagram types whose
+// parser exposes them; null for the others
+function countDiagram(diagram) {
+  const { db } = diagram;
+  if (diagram.type === 'flowchart-v2' || diagram.type === 'flowchart') {
+    return {
+      nodes: db.getVertices().size,
+      edges: db.getEdges().length,
+      subgraphs: db.getSubGraphs().length
+    };
+  }
+  if (diagram.type === 'sequence') {
+    const messages = db.getMessages().filter(message =>
+      message.from && message.to && message.type !== db.LINETYPE.NOTE
+    );
+    return { participants: db.getActors().size, messages: messages.length };
+  }
+  return null;
+}
+
+function describeCounts(counts) {
+  return Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', ');
+}
+
+// Parse every mermaid block of a page; each block gets its diagram type and
+// counts, or null when it does not parse
+async function parsePage(mermaid, page) {
+  const { codeBlocks } = parseMarkdown(fs.readFileSync(page.file, 'utf-8'));
+  const diagrams = [];
+  for (const block of codeBlocks.filter(candidate => candidate.lang === 'mermaid')) {
+    stats.parsed++;
+    // The theme renders the trimmed text content of the block
+    const code = block.code.trim();
+    if (!code) {
+      stats.failed++;
+      errors.push({ type: 'mermaid-syntax', file: page.source, line: block.line, message: 'Empty mermaid diagram' });
+      diagrams.push({ block, type: null, counts: null });
+      continue;
+    }
+    try {
+      const diagram = await mermaid.mermaidAPI.getDiagramFromText(code);
+      stats.types.set(diagram.type, (stats.types.get(diagram.type) || 0) + 1);
+      diagrams.push({ block, type: diagram.type, counts: countDiagram(diagram) });
+    } catch (error) {
+      stats.failed++;
+      reportParseError(error, block, page);
+      diagrams.push({ block, type: null, counts: null });
+    }
+  }
+  return diagrams;
+}
+
+// Compare the diagrams of two translations of a page, in order
+function compareDiagrams(refPage, refDiagrams, otherPage, otherDiagrams) {
+  if (refDiagrams.length !== otherDiagrams.length) {
+    errors.push({
+      type: 'diagram-count',
+      file: otherPage.source,
+      message: `${otherDiagrams.length} mermaid diagrams, ${refPage.source} has ${refDiagrams.length}`
+    });
+  }
+
+  otherDiagrams.slice(0, refDiagrams.length).forEach((other, index) => {
+    const ref = refDiagrams[index];
+    if (!ref.type || !other.type) return;
+    stats.compared++;
+    const at = `${refPage.source}:${ref.block.line}`;
+    if (ref.type !== other.type) {
+      errors.push({
+        type: 'diagram-mismatch',
+        file: otherPage.source,
+        line: other.block.line,
+        message: `${other.type} diagram, ${at} is a ${ref.type} diagram`
+      });
+      return;
+    }
+    if (!ref.counts) return;
+    const differences = Object.keys(ref.counts).filter(name => ref.counts[name] !== other.counts[name]);
+    if (differences.length === 0) return;
+    errors.push({
+      type: 'diagram-mismatch',
+      file: otherPage.source,
+      line: other.block.line,
+      message: `Diagram differs from ${at}: ` +
+        differences.map(name => `${other.counts[name]} ${name} instead of ${ref.counts[name]}`).join(', '),
+      details: [`${refPage.source}: ${describeCounts(ref.counts)}`, `${otherPage.source}: ${describeCounts(other.counts)}`]
+    });
+  });
+}
+
+// Main check function
+async function checkMermaid() {
+  console.log('🔍 Checking mermaid diagrams...\n');
+
+  const site = await loadSite({ reference: referenceArg });
+  const reference = site.referenceLocale;
+  const mermaid = await loadMermaid();
+
+  // Diagrams of every page, per locale
+  const diagrams = new Map();
+  for (const locale of site.locales) {
+    for (const page of site.localePages(locale.key).values()) {
+      diagrams.set(page, await parsePage(mermaid, page));
+    }
+  }
+
+  // Translations of a page should draw the same diagrams
+  const refPages = site.localePages(reference.key);
+  site.locales.filter(locale => locale !== reference).forEach(locale => {
+    site.localePages(locale.key).forEach((page, localPath) => {
+      const refPage = refPages.get(localPath);
+      if (refPage) compareDiagrams(refPage, diagrams.get(refPage), page, diagrams.get(page));
+    });
+  });
+
+  console.log(`📊 Statistics:`);
+  console.log(`   Reference locale: ${reference.label} (${reference.link})`);
+  console.log(`   Diagrams parsed: ${stats.parsed} (${stats.failed} with errors)`);
+  stats.types.forEach((count, type) => console.log(`   ${type}: ${count}`));
+  console.log(`   Translated diagrams compared: ${stats.compared}\n`);
+
+  // Report errors
+  if (errors.length > 0) {
+    console.log(`❌ Found ${errors.length} errors:\n`);
+    errors.forEach(error => {
+      console.log(`   ${error.file}${error.line ? ':' + error.line : ''}`);
+      console.log(`   → ${error.message}`);
+      (error.details || []).forEach(line => console.log(`     ${line}`));
+      console.log();
+    });
+  } else {
+    console.log('✅ All mermaid diagrams parse and match their translations!\n');
+  }
+
+  return errors.length === 0;
+}
+
+// Run the check
+const success = await checkMermaid();
+process.exit(success ? 0 : 1);
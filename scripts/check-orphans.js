@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSite } from './lib/site.js';
+import { extractLinks } from './lib/links.js';
+import { getAllMarkdownFiles } from './lib/files.js';
+import { parseFrontmatter } from './lib/frontmatter.js';
+import { collectNavLinks, collectSidebarLinks, getSidebars, getSidebarForPath } from './lib/theme-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const docsDir = path.join(__dirname, '../docs');
+const errors = [];
+const warnings = [];
+
+// Page a config link (nav, sidebar) leads to, if any
+function resolveConfigLink(site, resolved) {
+  if (!resolved.startsWith('/')) return null;
+  const result = site.resolveLink(resolved, null);
+  return result.kind === 'page' ? result.page : null;
+}
+
+// Build the link graph: entry points from the config plus page-to-page links
+function buildLinkGraph(site) {
+  const inbound = new Map(site.pages.map(page => [page.file, new Set()]));
+  const outbound = new Map(site.pages.map(page => [page.file, new Set()]));
+  const entryPoints = new Map();
+
+  const addEntry = (page, source) => {
+    if (!page) return;
+    if (!entryPoints.has(page.file)) entryPoints.set(page.file, new Set());
+    entryPoints.get(page.file).add(source);
+  };
+
+  site.locales.forEach(locale => {
+    addEntry(resolveConfigLink(site, locale.link), `${locale.key} home`);
+    [site.config.userConfig.themeConfig || {}, locale.themeConfig].forEach(themeConfig => {
+      collectNavLinks(themeConfig.nav).forEach(entry => {
+        addEntry(resolveConfigLink(site, entry.resolved), `${locale.key} nav`);
+      });
+      getSidebars(themeConfig.sidebar).forEach(({ key, base, items }) => {
+        collectSidebarLinks(items, base, key).forEach(entry => {
+          addEntry(resolveConfigLink(site, entry.resolved), `${locale.key} sidebar`);
+        });
+      });
+    });
+  });
+
+  getAllMarkdownFiles(docsDir).forEach(file => {
+    if (!outbound.has(file)) return;
+    const content = fs.readFileSync(file, 'utf-8');
+    const { links } = extractLinks(content, file);
+    links.forEach(link => {
+      if (!link.url || /^(?:[a-z]+:|\/\/|#)/i.test(link.url)) return;
+      const result = site.resolveLink(link.url, file, { html: link.html });
+      if (result.kind !== 'page' || result.file === file) return;
+      outbound.get(file).add(result.file);
+      inbound.get(result.file).add(file);
+    });
+  });
+
+  return { inbound, outbound, entryPoints };
+}
+
+// Pages reachable by following links from the home pages, nav and sidebar
+function findReachable(entryPoints, outbound) {
+  const reachable = new Set(entryPoints.keys());
+  const queue = [...reachable];
+  while (queue.length > 0) {
+    const file = queue.shift();
+    outbound.get(file).forEach(target => {
+      if (!reachable.has(target)) {
+        reachable.add(target);
+        queue.push(target);
+      }
+    });
+  }
+  return reachable;
+}
+
+// Report pages nobody can navigate to
+function checkOrphans(site, graph) {
+  const { inbound, outbound, entryPoints } = graph;
+  const reachable = findReachable(entryPoints, outbound);
+
+  site.pages.forEach(page => {
+    const relativePath = path.relative(docsDir, page.file);
+    if (entryPoints.has(page.file)) return;
+
+    if (inbound.get(page.file).size === 0) {
+      errors.push({
+        type: 'orphan-page',
+        file: relativePath,
+        message: `Orphan page: no sidebar, nav, home page or other page links to ${page.url}`
+      });
+    } else if (!reachable.has(page.file)) {
+      const from = [...inbound.get(page.file)].map(file => path.relative(docsDir, file));
+      errors.push({
+        type: 'unreachable-page',
+        file: relativePath,
+        message: `Unreachable page: only linked from pages that are unreachable themselves (${from.join(', ')})`
+      });
+    }
+  });
+
+  return reachable;
+}
+
+// Report reachable doc pages that have no previous/next page in the sidebar
+function checkDocFooter(site, reachable) {
+  site.pages.forEach(page => {
+    if (!reachable.has(page.file)) return;
+
+    const frontmatter = parseFrontmatter(fs.readFileSync(page.file, 'utf-8')).data;
+    if (frontmatter.layout && frontmatter.layout !== 'doc') return;
+    // Set in the frontmatter, including `prev: false` to turn it off on purpose
+    if ('prev' in frontmatter || 'next' in frontmatter) return;
+
+    const locale = site.locales.find(l => l.key === page.locale);
+    const sidebarConfig = locale?.themeConfig.sidebar || site.config.userConfig.themeConfig?.sidebar;
+    const relativePath = path.relative(docsDir, page.file);
+    const sidebar = getSidebarForPath(sidebarConfig, page.outputFile.replace(/\.html$/, '.md'));
+
+    if (!sidebar) {
+      warnings.push({
+        type: 'no-sidebar',
+        file: relativePath,
+        message: `No sidebar covers ${page.url}, so it has no previous/next page`
+      });
+      return;
+    }
+
+    // The doc footer walks the flattened sidebar links in order
+    const sequence = collectSidebarLinks(sidebar.items, sidebar.base, sidebar.key)
+      .filter(entry => entry.text)
+      .map(entry => resolveConfigLink(site, entry.resolved));
+    const index = sequence.findIndex(target => target && target.file === page.file);
+
+    if (index === -1) {
+      warnings.push({
+        type: 'not-in-sidebar',
+        file: relativePath,
+        message: `${page.url} is not listed in the ${sidebar.key || ''} sidebar, so it has no previous/next page`
+      });
+    } else if (sequence.length === 1) {
+      warnings.push({
+        type: 'no-neighbours',
+        file: relativePath,
+        message: `${page.url} is the only entry of the ${sidebar.key || ''} sidebar`
+      });
+    }
+  });
+}
+
+// Main check function
+async function checkPages() {
+  console.log('🔍 Checking for orphan and unreachable pages...\n');
+
+  const site = await loadSite();
+  const graph = buildLinkGraph(site);
+  const reachable = checkOrphans(site, graph);
+  checkDocFooter(site, reachable);
+
+  console.log(`📊 Statistics:`);
+  site.locales.forEach(locale => {
+    const pages = site.pages.filter(page => page.locale === locale.key);
+    const linked = pages.filter(page => reachable.has(page.file)).length;
+    console.log(`   ${locale.label} (${locale.link}): ${linked}/${pages.length} pages reachable`);
+  });
+  console.log(`   Entry points (home, nav, sidebar): ${graph.entryPoints.size}\n`);
+
+  // Report errors
+  if (errors.length > 0) {
+    console.log(`❌ Found ${errors.length} pages nobody can navigate to:\n`);
+    errors.forEach(error => {
+      console.log(`   ${error.file}`);
+      console.log(`   → ${error.message}\n`);
+    });
+  } else {
+    console.log('✅ Every page is reachable!\n');
+  }
+
+  // Report warnings
+  if (warnings.length > 0) {
+    console.log(`⚠️  Found ${warnings.length} pages without previous/next navigation:\n`);
+    warnings.forEach(warning => {
+      console.log(`   ${warning.file}`);
+      console.log(`   → ${warning.message}\n`);
+    });
+  }
+
+  return errors.length === 0;
+}
+
+// Run the check
+const success = await checkPages();
+process.exit(success ? 0 : 1);
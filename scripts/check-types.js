@@ -0,0 +1,359 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import { loadSite } from './lib/site.js';
+import { parseMarkdown } from './lib/markdown.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+// Declarations the samples compile against besides the installed
+// electron-infra-kit package: Electron stubs and the globals a sample may
+// assume (see tsconfig.json there)
+const typesDir = path.join(__dirname, 'types');
+// Samples become virtual files under a directory that does not exist, so a
+// sample's relative imports never pick up real files
+const snippetsDir = path.join(typesDir, 'snippets');
+
+const errors = [];
+const warnings = [];
+const stats = { checked: 0, skipped: 0, failed: 0, partial: 0, expected: 0 };
+
+const TYPESCRIPT_LANGUAGES = new Map([['ts', '.ts'], ['typescript', '.ts'], ['tsx', '.tsx']]);
+
+// Samples are excerpts: an export of these modules a sample uses without
+// importing it counts as imported
+const IMPLICIT_IMPORT_MODULES = ['electron-infra-kit', 'electron'];
+// ...and so do the usual names of these imports
+const IMPLICIT_IMPORTS = {
+  z: "import { z } from 'zod';",
+  path: "import path from 'path';",
+  fs: "import fs from 'fs';",
+  React: "import React from 'react';"
+};
+
+// Cannot find name / namespace 'x' (and the "did you mean" variants): the
+// sample relies on code it does not show, unless a checked package exports
+// x from an entry point it is not implicitly imported from
+const UNRESOLVED_NAME_CODES = new Set([2304, 2503, 2552, 2580, 2581, 2582, 2591, 2592, 2593, 18004]);
+// ...and so does window.x in the renderer when x comes from a preload script
+// the sample does not show
+const UNKNOWN_WINDOW_PROPERTY = /^Property '[^']+' does not exist on type 'Window & typeof globalThis'/;
+const MODULE_NOT_FOUND = 2307;
+// Packages the samples are checked against; imports of any other package
+// that is not installed are left unresolved (typed any) and not reported
+const CHECKED_PACKAGES = new Set(['electron-infra-kit', 'electron']);
+
+// Samples that are not meant to compile (an API signature, several files in
+// one block) opt out with <!-- allow-type-errors: reason --> on the line
+// above the fence; the reason is required
+const typeCheckOptOut = /<!--\s*allow-type-errors\b\s*(?::\s*(.*?))?\s*-->/;
+
+// Lines a sample marks as a mistake (`// ❌ ...` on the line or alone on the
+// line above) are expected not to compile
+function isMarkedMistake(code, line) {
+  const lines = code.split('\n');
+  return /\/\/.*❌/.test(lines[line] || '') || /^\s*\/\/.*❌/.test(lines[line - 1] || '');
+}
+
+function loadCompilerOptions() {
+  const configFile = path.join(typesDir, 'tsconfig.json');
+  const { config, error } = ts.readConfigFile(configFile, ts.sys.readFile);
+  if (error) {
+    throw new Error(ts.flattenDiagnosticMessageText(error.messageText, '\n'));
+  }
+  return ts.parseJsonConfigFileContent(config, ts.sys, typesDir, undefined, configFile);
+}
+
+// Every TypeScript block of every page, with the virtual file it compiles as
+function collectSamples(site) {
+  const samples = [];
+  site.locales.forEach(locale => {
+    site.localePages(locale.key).forEach(page => {
+      const { codeBlocks } = parseMarkdown(fs.readFileSync(page.file, 'utf-8'));
+      codeBlocks.forEach(block => {
+        const extension = TYPESCRIPT_LANGUAGES.get(block.lang.toLowerCase());
+        if (!extension) return;
+        const optOut = block.before.match(typeCheckOptOut);
+        if (optOut) {
+          stats.skipped++;
+          if (!optOut[1]) {
+            errors.push({
+              type: 'opt-out',
+              file: page.source,
+              line: block.line - 1,
+              message: 'allow-type-errors needs a reason: <!-- allow-type-errors: why the sample does not compile -->',
+              details: []
+            });
+          }
+          return;
+        }
+        samples.push({
+          source: page.source,
+          line: block.line,
+          code: block.code,
+          fileName: path.join(snippetsDir, `${page.source}.${block.line}${extension}`),
+          failed: false,
+          partial: false
+        });
+      });
+    });
+  });
+  return samples;
+}
+
+// Entry points of a checked package: its package.json exports
+function entryPoints(packageName, options) {
+  if (packageName === 'electron') return ['electron'];
+  const manifest = JSON.parse(fs.readFileSync(path.join(packageDir(options), '..', 'package.json'), 'utf-8'));
+  return Object.keys(manifest.exports || { '.': null })
+    .filter(subpath => !subpath.includes('*') && !subpath.endsWith('.json'))
+    .map(subpath => (subpath === '.' ? packageName : packageName + subpath.slice(1)));
+}
+
+// Name → entry points of the checked packages that export it
+function packageExports(config) {
+  const from = path.join(snippetsDir, 'sample.ts');
+  const modules = new Map();
+  CHECKED_PACKAGES.forEach(packageName => {
+    entryPoints(packageName, config.options).forEach(moduleName => {
+      const { resolvedModule } = ts.resolveModuleName(moduleName, from, config.options, ts.sys);
+      if (resolvedModule) modules.set(moduleName, resolvedModule.resolvedFileName);
+    });
+  });
+
+  const program = ts.createProgram({
+    rootNames: [...config.fileNames, ...modules.values()],
+    options: config.options,
+    host: createHost(config.options, [])
+  });
+  const checker = program.getTypeChecker();
+  const exported = new Map();
+  modules.forEach((fileName, moduleName) => {
+    const sourceFile = program.getSourceFile(fileName);
+    const symbol = sourceFile && checker.getSymbolAtLocation(sourceFile);
+    if (!symbol) return;
+    checker.getExportsOfModule(symbol).forEach(({ name }) => {
+      exported.set(name, [...(exported.get(name) || []), moduleName]);
+    });
+  });
+  return exported;
+}
+
+// Compiler host that serves the samples from memory and everything else
+// (the declarations, TypeScript's own lib files) from disk. Files from disk
+// are parsed once and shared by every program.
+const diskFiles = new Map();
+
+// Directory of the installed package's declarations. They import each other
+// through the `@/` alias of the package's own build, which is resolved here.
+function packageDir(options) {
+  const { resolvedModule } = ts.resolveModuleName('electron-infra-kit', path.join(snippetsDir, 'sample.ts'), options, ts.sys);
+  if (!resolvedModule) {
+    throw new Error('electron-infra-kit is not installed, run "pnpm install" first');
+  }
+  return path.dirname(resolvedModule.resolvedFileName);
+}
+
+function createHost(options, samples) {
+  const host = ts.createCompilerHost(options);
+  const distDir = packageDir(options);
+  const virtual = new Map(samples.map(sample => [sample.fileName, sample.code]));
+  const { getSourceFile, fileExists, readFile } = host;
+
+  host.getSourceFile = (fileName, languageVersion, ...rest) => {
+    if (virtual.has(fileName)) {
+      return ts.createSourceFile(fileName, virtual.get(fileName), languageVersion, true);
+    }
+    if (!diskFiles.has(fileName)) {
+      diskFiles.set(fileName, getSourceFile.call(host, fileName, languageVersion, ...rest));
+    }
+    return diskFiles.get(fileName);
+  };
+  host.fileExists = fileName => virtual.has(fileName) || fileExists.call(host, fileName);
+  host.readFile = fileName => (virtual.has(fileName) ? virtual.get(fileName) : readFile.call(host, fileName));
+  host.resolveModuleNames = (moduleNames, containingFile) => moduleNames.map(moduleName => {
+    const specifier = moduleName.startsWith('@/') && containingFile.startsWith(distDir)
+      ? path.join(distDir, moduleName.slice(2))
+      : moduleName;
+    return ts.resolveModuleName(specifier, containingFile, options, host).resolvedModule;
+  });
+  return host;
+}
+
+function compile(config, samples, oldProgram) {
+  return ts.createProgram({
+    rootNames: [...config.fileNames, ...samples.map(sample => sample.fileName)],
+    options: config.options,
+    host: createHost(config.options, samples),
+    oldProgram
+  });
+}
+
+// Source text a diagnostic points at
+function diagnosticText(diagnostic) {
+  return diagnostic.file.text.slice(diagnostic.start, diagnostic.start + diagnostic.length);
+}
+
+// Import statement for each name the implicitly imported modules export,
+// first module wins
+function implicitImports(program) {
+  const checker = program.getTypeChecker();
+  const imports = new Map(Object.entries(IMPLICIT_IMPORTS));
+  IMPLICIT_IMPORT_MODULES.forEach(moduleName => {
+    const { resolvedModule } = ts.resolveModuleName(moduleName, path.join(snippetsDir, 'sample.ts'),
+      program.getCompilerOptions(), ts.sys);
+    const sourceFile = resolvedModule && program.getSourceFile(resolvedModule.resolvedFileName);
+    const symbol = sourceFile && checker.getSymbolAtLocation(sourceFile);
+    if (!symbol) {
+      throw new Error(`No declarations for ${moduleName}, see scripts/types/tsconfig.json`);
+    }
+    checker.getExportsOfModule(symbol).forEach(exported => {
+      if (!imports.has(exported.name)) {
+        imports.set(exported.name, `import { ${exported.name} } from '${moduleName}';`);
+      }
+    });
+  });
+  return imports;
+}
+
+// Add the imports a sample leaves out. They go after the code, imports being
+// hoisted, so line n of the virtual file is still line n of the sample.
+// Returns whether any sample changed.
+function addImplicitImports(program, samplesByFile) {
+  const imports = implicitImports(program);
+  const missing = new Map();
+  ts.getPreEmitDiagnostics(program).forEach(diagnostic => {
+    if (!UNRESOLVED_NAME_CODES.has(diagnostic.code)) return;
+    const sample = diagnostic.file && samplesByFile.get(diagnostic.file.fileName);
+    const name = sample && diagnosticText(diagnostic);
+    if (!sample || !imports.has(name)) return;
+    if (!missing.has(sample)) missing.set(sample, new Set());
+    missing.get(sample).add(imports.get(name));
+  });
+
+  missing.forEach((statements, sample) => {
+    sample.code += '\n' + [...statements].join('\n');
+  });
+  return missing.size > 0;
+}
+
+// Report a diagnostic at the markdown line it comes from; problems in the
+// declaration files themselves are reported there
+function reportDiagnostic(diagnostic, samplesByFile, exported) {
+  const [message, ...details] = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n').split('\n');
+  const entry = {
+    type: 'type-error',
+    message: `TS${diagnostic.code}: ${message}`,
+    details: details.map(line => line.trim())
+  };
+
+  if (!diagnostic.file) {
+    errors.push({ ...entry, file: path.relative(rootDir, path.join(typesDir, 'tsconfig.json')) });
+    return;
+  }
+  const { line } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+  const sample = samplesByFile.get(diagnostic.file.fileName);
+  if (!sample) {
+    errors.push({ ...entry, file: path.relative(rootDir, diagnostic.file.fileName), line: line + 1 });
+    return;
+  }
+
+  const at = { file: sample.source, line: sample.line + 1 + line };
+  if (isMarkedMistake(sample.code, line)) {
+    stats.expected++;
+    return;
+  }
+  if (diagnostic.code === MODULE_NOT_FOUND) {
+    const specifier = diagnosticText(diagnostic).slice(1, -1);
+    if (!CHECKED_PACKAGES.has(specifier.split('/')[0])) return;
+  }
+  if (UNRESOLVED_NAME_CODES.has(diagnostic.code) && exported.has(diagnosticText(diagnostic))) {
+    const modules = exported.get(diagnosticText(diagnostic));
+    sample.failed = true;
+    errors.push({ ...entry, ...at, details: [...entry.details, `Exported by ${modules.join(', ')}: import it from there`] });
+    return;
+  }
+  if (UNRESOLVED_NAME_CODES.has(diagnostic.code) || UNKNOWN_WINDOW_PROPERTY.test(message)) {
+    sample.partial = true;
+    warnings.push({ ...entry, ...at, type: 'unresolved-name' });
+    return;
+  }
+  sample.failed = true;
+  errors.push({ ...entry, ...at });
+}
+
+// Main check function
+async function checkTypes() {
+  console.log('🔍 Type-checking TypeScript samples...\n');
+
+  const site = await loadSite();
+  const config = loadCompilerOptions();
+  const samples = collectSamples(site);
+  const samplesByFile = new Map(samples.map(sample => [sample.fileName, sample]));
+  const exported = packageExports(config);
+
+  // The declarations on their own, so problems in them are reported once
+  const declarations = compile(config, []);
+  ts.getPreEmitDiagnostics(declarations).forEach(diagnostic => reportDiagnostic(diagnostic, samplesByFile, exported));
+
+  // One program per page: what a sample declares globally (declare global,
+  // e.g. the window API a preload script exposes) is seen by the samples of
+  // its page only
+  const pageConfig = { ...config, options: { ...config.options, skipLibCheck: true } };
+  const pages = new Map();
+  samples.forEach(sample => pages.set(sample.source, [...(pages.get(sample.source) || []), sample]));
+  pages.forEach(pageSamples => {
+    let program = compile(pageConfig, pageSamples, declarations);
+    if (addImplicitImports(program, samplesByFile)) {
+      program = compile(pageConfig, pageSamples, program);
+    }
+    ts.getPreEmitDiagnostics(program).forEach(diagnostic => reportDiagnostic(diagnostic, samplesByFile, exported));
+  });
+
+  // Pages are compiled one by one; report in file and line order
+  const byLocation = (a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0);
+  errors.sort(byLocation);
+  warnings.sort(byLocation);
+
+  stats.checked = samples.length;
+  stats.failed = samples.filter(sample => sample.failed).length;
+  stats.partial = samples.filter(sample => sample.partial).length;
+
+  console.log(`📊 Statistics:`);
+  console.log(`   TypeScript: ${ts.version}`);
+  console.log(`   Samples checked: ${stats.checked} ` +
+    `(${stats.failed} with errors, ${stats.partial} relying on code they do not show)`);
+  console.log(`   Errors on lines marked ❌: ${stats.expected}`);
+  console.log(`   Samples opted out: ${stats.skipped}\n`);
+
+  // Report errors
+  if (errors.length > 0) {
+    console.log(`❌ Found ${errors.length} type errors:\n`);
+    errors.forEach(error => {
+      console.log(`   ${error.file}${error.line ? ':' + error.line : ''}`);
+      console.log(`   → ${error.message}`);
+      error.details.forEach(line => console.log(`     ${line}`));
+      console.log();
+    });
+  } else {
+    console.log('✅ All TypeScript samples compile!\n');
+  }
+
+  // Report warnings
+  if (warnings.length > 0) {
+    console.log(`⚠️  Found ${warnings.length} unresolved names:\n`);
+    warnings.forEach(warning => {
+      console.log(`   ${warning.file}:${warning.line}`);
+      console.log(`   → ${warning.message}\n`);
+    });
+  }
+
+  return errors.length === 0;
+}
+
+// Run the check
+const success = await checkTypes();
+process.exit(success ? 0 : 1);
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { loadSite } from './lib/site.js';
+import { expectedBuild, snapshotBuild } from './lib/build.js';
+
+// Compare two builds of the site and print a Markdown report for a PR
+// comment: pages added, removed and renamed, what each page loads (HTML, JS,
+// CSS) and which pages show different text.
+//
+// Usage: node scripts/diff-build.js <base> [<head>] [--output <file>]
+//   <base>, <head>: a build directory, or a snapshot saved with
+//   `node scripts/verify-build.js --snapshot <file>`. <head> defaults to the
+//   current build (outDir of the VitePress config).
+const args = process.argv.slice(2);
+const outputFile = args.includes('--output') ? args[args.indexOf('--output') + 1] : undefined;
+const inputs = args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--output');
+
+// Size rows shown before the rest is left out of the comment
+const MAX_SIZE_ROWS = 30;
+
+const site = await loadSite();
+const build = expectedBuild(site);
+
+// Snapshot of a build directory or a saved snapshot file. Build directories
+// are read with the current config's base and assetsDir.
+function loadSnapshot(input) {
+  if (!fs.existsSync(input)) {
+    throw new Error(`${input} not found`);
+  }
+  if (fs.statSync(input).isDirectory()) {
+    return snapshotBuild({ ...build, outDir: path.resolve(input) });
+  }
+  const snapshot = JSON.parse(fs.readFileSync(input, 'utf-8'));
+  if (snapshot.version !== 1 || !snapshot.pages) {
+    throw new Error(`${input} is not a build snapshot of verify-build.js`);
+  }
+  return snapshot;
+}
+
+function formatSize(bytes) {
+  if (Math.abs(bytes) < 1024) return `${bytes} B`;
+  if (Math.abs(bytes) < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function formatChange(before, after, format = String) {
+  const change = after - before;
+  if (change === 0) return '—';
+  const sign = change > 0 ? '+' : '-';
+  const percent = before > 0 ? ` (${sign}${(Math.abs(change) / before * 100).toFixed(1)}%)` : '';
+  return `${sign}${format(Math.abs(change))}${percent}`;
+}
+
+// Removed and added pages that are the same page under another name: same
+// rendered text, or else the same title when only one page has it on each side
+function findRenames(removed, added, basePages, headPages) {
+  const renames = [];
+  const match = key => {
+    removed.slice().forEach(oldFile => {
+      const candidates = added.filter(newFile => key(headPages[newFile]) === key(basePages[oldFile]));
+      const rivals = removed.filter(other => key(basePages[other]) === key(basePages[oldFile]));
+      if (candidates.length !== 1 || rivals.length !== 1) return;
+      renames.push({ from: oldFile, to: candidates[0] });
+      removed.splice(removed.indexOf(oldFile), 1);
+      added.splice(added.indexOf(candidates[0]), 1);
+    });
+  };
+  match(page => page.text);
+  match(page => page.title);
+  return renames;
+}
+
+function diffBuilds(base, head) {
+  const baseFiles = Object.keys(base.pages);
+  const headFiles = Object.keys(head.pages);
+  const removed = baseFiles.filter(file => !head.pages[file]);
+  const added = headFiles.filter(file => !base.pages[file]);
+  const renamed = findRenames(removed, added, base.pages, head.pages);
+
+  // Pages on both sides, renamed ones under their new name
+  const pairs = [
+    ...baseFiles.filter(file => head.pages[file]).map(file => ({ file, before: base.pages[file], after: head.pages[file] })),
+    ...renamed.map(({ from, to }) => ({ file: to, before: base.pages[from], after: head.pages[to] }))
+  ];
+  const textChanged = pairs.filter(pair => pair.before.text !== pair.after.text);
+  const sizeChanged = pairs
+    .map(pair => ({
+      ...pair,
+      total: ['html', 'js', 'css'].reduce((total, key) => total + pair.after[key] - pair.before[key], 0)
+    }))
+    .filter(pair => ['html', 'js', 'css'].some(key => pair.after[key] !== pair.before[key]))
+    .sort((a, b) => Math.abs(b.total) - Math.abs(a.total) || a.file.localeCompare(b.file));
+
+  return { added, removed, renamed, textChanged, sizeChanged };
+}
+
+function renderReport(base, head, diff) {
+  const lines = ['## 📦 Build diff', ''];
+
+  lines.push('| | Base | Head | Change |', '|---|---:|---:|---:|');
+  lines.push(`| HTML pages | ${base.totals.pages} | ${head.totals.pages} | ${formatChange(base.totals.pages, head.totals.pages)} |`);
+  lines.push(`| Files | ${base.totals.files} | ${head.totals.files} | ${formatChange(base.totals.files, head.totals.files)} |`);
+  lines.push(`| Total size | ${formatSize(base.totals.size)} | ${formatSize(head.totals.size)} | ${formatChange(base.totals.size, head.totals.size, formatSize)} |`);
+  lines.push('');
+
+  const page = (file, snapshot) => `\`${file}\` — ${snapshot.pages[file].title}`;
+
+  if (diff.added.length > 0) {
+    lines.push(`### ➕ Added pages (${diff.added.length})`, '');
+    diff.added.forEach(file => lines.push(`- ${page(file, head)}`));
+    lines.push('');
+  }
+  if (diff.removed.length > 0) {
+    lines.push(`### ➖ Removed pages (${diff.removed.length})`, '');
+    diff.removed.forEach(file => lines.push(`- ${page(file, base)}`));
+    lines.push('');
+  }
+  if (diff.renamed.length > 0) {
+    lines.push(`### 🔀 Renamed pages (${diff.renamed.length})`, '');
+    diff.renamed.forEach(({ from, to }) => lines.push(`- \`${from}\` → \`${to}\``));
+    lines.push('');
+  }
+  if (diff.textChanged.length > 0) {
+    lines.push(`### 📝 Pages with changed text (${diff.textChanged.length})`, '');
+    diff.textChanged.forEach(({ file, before, after }) => {
+      lines.push(`- \`${file}\` — ${after.title} (${formatChange(before.chars, after.chars)} characters)`);
+    });
+    lines.push('');
+  }
+  if (diff.sizeChanged.length > 0) {
+    // Shared chunks count for every page that loads them, so one change to
+    // the theme can list every page: keep the table folded
+    lines.push(`### 📈 Size changes (${diff.sizeChanged.length} pages)`, '');
+    lines.push('<details>', '<summary>What each page loads, largest change first</summary>', '');
+    lines.push('| Page | HTML | JS | CSS |', '|---|---:|---:|---:|');
+    diff.sizeChanged.slice(0, MAX_SIZE_ROWS).forEach(({ file, before, after }) => {
+      const cells = ['html', 'js', 'css'].map(key => {
+        const change = formatChange(before[key], after[key], formatSize);
+        return change === '—' ? formatSize(after[key]) : `${formatSize(after[key])} (${change})`;
+      });
+      lines.push(`| \`${file}\` | ${cells.join(' | ')} |`);
+    });
+    if (diff.sizeChanged.length > MAX_SIZE_ROWS) {
+      lines.push('', `…and ${diff.sizeChanged.length - MAX_SIZE_ROWS} more pages`);
+    }
+    lines.push('', '</details>', '');
+  }
+
+  const changes = diff.added.length + diff.removed.length + diff.renamed.length + diff.textChanged.length + diff.sizeChanged.length;
+  if (changes === 0) {
+    lines.push('No page changed.', '');
+  }
+  return lines.join('\n');
+}
+
+if (inputs.length < 1 || inputs.length > 2) {
+  console.error('Usage: node scripts/diff-build.js <base> [<head>] [--output <file>]');
+  process.exit(1);
+}
+
+let report;
+try {
+  const base = loadSnapshot(inputs[0]);
+  const head = loadSnapshot(inputs[1] || build.outDir);
+  report = renderReport(base, head, diffBuilds(base, head));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+if (outputFile) {
+  fs.writeFileSync(outputFile, report);
+  console.log(`📄 Build diff written to ${outputFile}`);
+} else {
+  console.log(report);
+}
@@ -0,0 +1,71 @@
+// Heading anchor helpers that follow the rules VitePress uses when it renders
+// a page: @mdit-vue/shared slugify, markdown-it-anchor de-duplication and
+// markdown-it-attrs custom ids (`## Title {#custom-id}`).
+import { parseMarkdown } from './markdown.js';
+
+const rControl = /[\u0000-\u001f]/g;
+const rSpecial = /[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'“”‘’<>,.?/]+/g;
+const rCombining = /[\u0300-\u036F]/g;
+
+// Same implementation as VitePress' default markdown.anchor.slugify
+export function slugify(str) {
+  return str
+    .normalize('NFKD')
+    .replace(rCombining, '')
+    .replace(rControl, '')
+    .replace(rSpecial, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .replace(/^(\d)/, '_$1')
+    .toLowerCase();
+}
+
+// Build the anchor table of a page: every id a reader can jump to, with the
+// line that defines it. Duplicate slugs get -1, -2 ... suffixes in document
+// order, exactly like the rendered page.
+export function collectAnchors(content) {
+  const anchors = new Map();
+  const duplicates = [];
+  const { headings, htmlIds } = parseMarkdown(content);
+  const targets = [
+    ...headings.map(heading => ({ ...heading, heading: true })),
+    ...htmlIds.map(element => ({ ...element, heading: false }))
+  ].sort((a, b) => a.line - b.line);
+
+  targets.forEach(({ line, title, id, heading }) => {
+    // Raw HTML elements with an explicit id are valid targets as well
+    if (!heading) {
+      if (!anchors.has(id)) {
+        anchors.set(id, { line, title: null });
+      }
+      return;
+    }
+
+    if (id) {
+      if (anchors.has(id)) {
+        duplicates.push({ id, line });
+      }
+      anchors.set(id, { line, title });
+      return;
+    }
+
+    const slug = slugify(title);
+    let unique = slug;
+    let suffix = 1;
+    while (anchors.has(unique)) {
+      unique = `${slug}-${suffix++}`;
+    }
+    anchors.set(unique, { line, title });
+  });
+
+  return { anchors, duplicates };
+}
+
+// Normalise a URL fragment for comparison against the anchor table
+export function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (e) {
+    return fragment;
+  }
+}
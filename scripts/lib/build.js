@@ -0,0 +1,189 @@
+// What `vitepress build` is expected to produce for the site's sources, and
+// helpers to read what it did produce. Output names follow VitePress 1.x
+// (src/node/build): a page published as "guide/intro.md" (after rewrites) is
+// rendered to guide/intro.html and bundled as the chunk
+// assets/guide_intro.md.<hash>.js (+ .lean.js), the hash being recorded in
+// hashmap.json under the lowercased chunk name.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+
+const INVALID_CHAR_REGEX = /[\u0000-\u001F"#$&*+,:;<=>?[\]^`{|}\u007F]/g;
+const DRIVE_LETTER_REGEX = /^[a-z]:/i;
+
+// Same implementation as VitePress' sanitizeFileName (Rollup's, plus the
+// removal of leading underscores)
+export function sanitizeFileName(name) {
+  const match = DRIVE_LETTER_REGEX.exec(name);
+  const driveLetter = match ? match[0] : '';
+  return driveLetter + name.slice(driveLetter.length)
+    .replace(INVALID_CHAR_REGEX, '_')
+    .replace(/(^|\/)_+(?=[^/]*$)/, '$1');
+}
+
+// Chunk name of a published page path ("en/guide/intro.md" -> "en_guide_intro.md")
+function chunkName(pagePath) {
+  return sanitizeFileName(pagePath.replace(/\//g, '_'));
+}
+
+// Expected build of a site loaded with loadSite(): every page with the html
+// file it is rendered to, the URL readers use (cleanUrls applied) and its
+// chunk. VitePress always renders a 404 page, from 404.md when there is one.
+export function expectedBuild(site) {
+  const { config } = site;
+  const pages = site.pages.map(page => ({
+    page,
+    source: page.source,
+    outputFile: page.outputFile,
+    url: page.url,
+    chunk: chunkName(page.outputFile.replace(/\.html$/, '.md'))
+  }));
+  if (!pages.some(entry => entry.outputFile === '404.html')) {
+    pages.push({ page: null, source: null, outputFile: '404.html', url: '/404.html', chunk: null });
+  }
+
+  return {
+    outDir: config.outDir,
+    assetsDir: config.assetsDir,
+    base: site.base,
+    mpa: Boolean(config.mpa),
+    pages
+  };
+}
+
+// Page chunk hashes recorded by the build, null when hashmap.json is missing
+export function readHashmap(build) {
+  const file = path.join(build.outDir, 'hashmap.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+// Files of the page's chunk for a hash
+export function chunkFiles(build, entry, hash) {
+  const name = `${build.assetsDir}/${entry.chunk}.${hash}`;
+  return { js: `${name}.js`, lean: `${name}.lean.js` };
+}
+
+// Every file below the output directory, relative to it with / separators
+export function listOutputFiles(build) {
+  const files = [];
+  function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const filePath = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(filePath);
+      else files.push(path.relative(build.outDir, filePath).split(path.sep).join('/'));
+    });
+  }
+  walk(build.outDir);
+  return files;
+}
+
+// Size of the output, the number of files and of html pages in it
+export function buildTotals(build) {
+  const files = listOutputFiles(build);
+  return {
+    size: files.reduce((total, file) => total + fs.statSync(path.join(build.outDir, file)).size, 0),
+    files: files.length,
+    pages: files.filter(file => file.endsWith('.html')).length
+  };
+}
+
+const TAG_REGEX = /<(link|script|img|source|video|audio)\b([^>]*)>/gi;
+const ATTRIBUTE_REGEX = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+function decodeAttribute(value) {
+  return value
+    .replace(/^["']|["']$/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+// URLs of the resources a generated page loads: stylesheets, scripts,
+// preloads, images and media. VitePress writes these tags itself, and code
+// shown on the page is escaped, so matching the tags is enough.
+export function htmlReferences(html) {
+  const references = [];
+  for (const [, tag, attributeText] of html.matchAll(TAG_REGEX)) {
+    const attributes = {};
+    for (const [, name, value] of attributeText.matchAll(ATTRIBUTE_REGEX)) {
+      attributes[name.toLowerCase()] = value === undefined ? '' : decodeAttribute(value);
+    }
+    const url = attributes.href || attributes.src;
+    if (url) {
+      references.push({ tag: tag.toLowerCase(), rel: attributes.rel || '', type: attributes.type || '', url });
+    }
+  }
+  return references;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURI(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Output file a reference in the html file `fromFile` points at; null for
+// other origins, data: URLs and fragments. Absolute paths must start with
+// the site base, which the reader's browser does not add.
+export function resolveReference(build, url, fromFile) {
+  if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url) || url.startsWith('#')) return null;
+  const pathname = safeDecode(url.replace(/[?#].*$/, ''));
+  if (!pathname.startsWith('/')) {
+    return { file: path.posix.join(path.posix.dirname(fromFile), pathname) };
+  }
+  if (!pathname.startsWith(build.base)) {
+    return { file: null, reason: `outside the site base ${build.base}` };
+  }
+  return { file: pathname.slice(build.base.length) };
+}
+
+// What a reader sees of a page: the content area, without the outline and
+// the prev / next links, which change when other pages do
+function renderedText(html) {
+  const { window } = new JSDOM(html);
+  const { document } = window;
+  const content = document.querySelector('#VPContent') || document.body;
+  content.querySelectorAll('script, style, .aside, .VPDocFooter').forEach(element => element.remove());
+  const text = content.textContent.replace(/\s+/g, ' ').trim();
+  const title = document.title;
+  window.close();
+  return { text, title };
+}
+
+// Sizes a page loads and what it shows, for every html file of the build.
+// JS counts the scripts and module preloads of the page, CSS its
+// stylesheets: shared files count for every page that loads them. The
+// result is plain JSON, to be saved and compared with a later build.
+export function snapshotBuild(build) {
+  const sizeOf = file => {
+    const filePath = path.join(build.outDir, file);
+    return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  };
+
+  const pages = {};
+  listOutputFiles(build).filter(file => file.endsWith('.html')).sort().forEach(file => {
+    const html = fs.readFileSync(path.join(build.outDir, file), 'utf-8');
+    const loaded = { js: new Set(), css: new Set() };
+    htmlReferences(html).forEach(reference => {
+      const target = resolveReference(build, reference.url, file);
+      if (!target || !target.file) return;
+      const rel = reference.rel.split(/\s+/);
+      if (reference.tag === 'script' || rel.includes('modulepreload')) loaded.js.add(target.file);
+      else if (rel.includes('stylesheet')) loaded.css.add(target.file);
+    });
+    const { text, title } = renderedText(html);
+    pages[file] = {
+      title,
+      html: Buffer.byteLength(html),
+      js: [...loaded.js].reduce((total, asset) => total + sizeOf(asset), 0),
+      css: [...loaded.css].reduce((total, asset) => total + sizeOf(asset), 0),
+      chars: text.length,
+      text: crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)
+    };
+  });
+
+  return { version: 1, base: build.base, totals: buildTotals(build), pages };
+}
@@ -0,0 +1,103 @@
+// Normalise fenced code so two translations of a page can be compared: the
+// code itself should be identical, only comments and string literals (and
+// the text of HTML elements) are translated.
+
+const C_LIKE = new Set([
+  'js', 'javascript', 'mjs', 'cjs', 'ts', 'typescript', 'tsx', 'jsx', 'json', 'jsonc', 'json5',
+  'css', 'scss', 'less', 'java', 'kotlin', 'go', 'rust', 'c', 'cpp', 'csharp', 'cs', 'swift'
+]);
+const HASH = new Set([
+  'bash', 'sh', 'shell', 'zsh', 'console', 'powershell', 'ps1', 'yaml', 'yml', 'toml', 'ini',
+  'python', 'py', 'ruby', 'rb', 'dockerfile', 'makefile', 'env', 'dotenv'
+]);
+const MARKUP = new Set(['html', 'vue', 'xml', 'svg']);
+const JSX = new Set(['tsx', 'jsx', 'ts', 'typescript', 'js', 'javascript']);
+
+// Languages whose content is prose or drawings rather than code
+const PROSE = new Set(['', 'text', 'txt', 'plain', 'md', 'markdown', 'mermaid', 'log']);
+
+// Whether blocks of this language are expected to be identical across locales
+export function isComparableLanguage(lang) {
+  return !PROSE.has((lang || '').toLowerCase());
+}
+
+// Blank out comments and replace string literals with "" while keeping the
+// line structure, so line n of the result is still line n of the block
+function stripCommentsAndStrings(code, { lineComment, blockComment, quotes }) {
+  let result = '';
+  let i = 0;
+  while (i < code.length) {
+    const char = code[i];
+
+    if (lineComment && lineComment(code, i)) {
+      while (i < code.length && code[i] !== '\n') i++;
+      continue;
+    }
+    if (blockComment && code.startsWith(blockComment[0], i)) {
+      const end = code.indexOf(blockComment[1], i + blockComment[0].length);
+      const stop = end === -1 ? code.length : end + blockComment[1].length;
+      result += code.slice(i, stop).replace(/[^\n]/g, '');
+      i = stop;
+      continue;
+    }
+    if (quotes.includes(char)) {
+      let j = i + 1;
+      while (j < code.length && code[j] !== char) {
+        if (code[j] === '\\') j++;
+        // Only template literals span lines, other quotes end at the line
+        else if (code[j] === '\n' && char !== '`') break;
+        j++;
+      }
+      const literal = code.slice(i, j + 1);
+      result += `${char}${char}` + literal.replace(/[^\n]/g, '');
+      i = j + 1;
+      continue;
+    }
+
+    result += char;
+    i++;
+  }
+  return result;
+}
+
+// Element text is translated: keep the tags and any {expression} in the text
+function normalizeElementText(code) {
+  return code.replace(/>([^<>]*)</g, (match, text) => {
+    if (!text.trim() || /[;=]/.test(text.replace(/\{[^{}]*\}/g, ''))) return match;
+    return `>${text.replace(/\{[^{}]*\}|[^\n]/g, expression => (expression.length > 1 ? expression : ''))}<`;
+  });
+}
+
+function normalizeMarkup(code) {
+  return normalizeElementText(code.replace(/<!--[\s\S]*?-->/g, match => match.replace(/[^\n]/g, '')));
+}
+
+// Normalised lines of a code block, with the index of the source line each
+// one came from. Blank lines (and lines that only held a comment) are dropped.
+export function normalizeCode(code, lang) {
+  const language = (lang || '').toLowerCase();
+  let text = code;
+
+  if (MARKUP.has(language)) {
+    text = normalizeMarkup(text);
+  } else if (JSX.has(language)) {
+    text = normalizeElementText(text);
+  }
+  if (C_LIKE.has(language) || MARKUP.has(language)) {
+    text = stripCommentsAndStrings(text, {
+      lineComment: (source, i) => source.startsWith('//', i) && source[i - 1] !== ':',
+      blockComment: ['/*', '*/'],
+      quotes: ['"', "'", '`']
+    });
+  } else if (HASH.has(language)) {
+    text = stripCommentsAndStrings(text, {
+      lineComment: (source, i) => source[i] === '#' && (i === 0 || /\s/.test(source[i - 1])),
+      blockComment: null,
+      quotes: ['"', "'"]
+    });
+  }
+
+  return text.split('\n')
+    .map((line, index) => ({ text: line.trim().replace(/\s+/g, ' '), index }))
+    .filter(line => line.text);
+}
@@ -0,0 +1,133 @@
+// Crawl a served site the way a reader's browser sees it: every html page
+// reachable by links from the start pages is fetched and parsed, and every
+// reference on it (links, scripts, stylesheets, preloads, images, srcset
+// candidates, media) is requested. Fragments are checked against the ids
+// of the page they point at, as rendered.
+import { JSDOM } from 'jsdom';
+
+// Attributes that reference another resource, by element
+const REFERENCE_ATTRIBUTES = [
+  ['a', 'href'], ['area', 'href'], ['link', 'href'], ['script', 'src'],
+  ['img', 'src'], ['img', 'srcset'], ['source', 'src'], ['source', 'srcset'],
+  ['video', 'src'], ['video', 'poster'], ['audio', 'src'], ['track', 'src'],
+  ['iframe', 'src'], ['embed', 'src'], ['object', 'data']
+];
+
+// Following these loads another page rather than a resource of this one
+const NAVIGATION_TAGS = new Set(['a', 'area']);
+
+function srcsetUrls(value) {
+  return value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+// Ids a fragment can point at (id attributes and <a name>) and the
+// references of a page
+function parsePage(html) {
+  const { window } = new JSDOM(html);
+  const { document } = window;
+  const ids = new Set();
+  document.querySelectorAll('[id]').forEach(element => ids.add(element.id));
+  document.querySelectorAll('a[name]').forEach(element => ids.add(element.getAttribute('name')));
+
+  const references = [];
+  REFERENCE_ATTRIBUTES.forEach(([tag, attribute]) => {
+    document.querySelectorAll(`${tag}[${attribute}]`).forEach(element => {
+      const value = element.getAttribute(attribute).trim();
+      const urls = attribute === 'srcset' ? srcsetUrls(value) : [value];
+      urls.forEach(url => references.push({ tag, attribute, rel: element.getAttribute('rel') || '', url }));
+    });
+  });
+  window.close();
+  return { ids, references };
+}
+
+// Crawl from the start URLs. Only URLs of the same origin are requested;
+// those outside `base` are reported without being requested. Returns the
+// crawled pages (final URL -> { ids }), the number of distinct URLs
+// requested and the problems found, each with the page it was found on.
+export async function crawlSite({ origin, base, start }) {
+  const responses = new Map();
+  const pages = new Map();
+  const problems = [];
+  const fragments = [];
+  const queue = [...start];
+
+  async function request(url) {
+    if (!responses.has(url)) {
+      responses.set(url, (async () => {
+        try {
+          const response = await fetch(url, { redirect: 'follow' });
+          const isHtml = (response.headers.get('content-type') || '').startsWith('text/html');
+          return {
+            status: response.status,
+            url: response.url,
+            html: isHtml ? await response.text() : (await response.arrayBuffer(), null)
+          };
+        } catch (error) {
+          return { status: 0, url, html: null, error: error.message };
+        }
+      })());
+    }
+    return responses.get(url);
+  }
+
+  while (queue.length > 0) {
+    const pageUrl = queue.shift();
+    const page = await request(pageUrl);
+    if (pages.has(page.url)) continue;
+    if (page.status !== 200 || page.html === null) {
+      if (start.includes(pageUrl)) problems.push({ page: pageUrl, url: pageUrl, message: `Start page returned ${page.status}` });
+      continue;
+    }
+
+    const { ids, references } = parsePage(page.html);
+    pages.set(page.url, { ids });
+
+    for (const reference of references) {
+      let target;
+      try {
+        target = new URL(reference.url, page.url);
+      } catch (e) {
+        problems.push({ page: page.url, url: reference.url, message: 'Invalid URL' });
+        continue;
+      }
+      if (target.origin !== origin || !/^https?:$/.test(target.protocol)) continue;
+      if (!target.pathname.startsWith(base)) {
+        problems.push({ page: page.url, url: reference.url, message: `Outside the site base ${base}` });
+        continue;
+      }
+
+      const resourceUrl = target.href.replace(/#.*$/, '');
+      const resource = await request(resourceUrl);
+      if (resource.status !== 200) {
+        problems.push({
+          page: page.url,
+          url: reference.url,
+          message: resource.error ? `Request failed: ${resource.error}` : `${resource.status} for <${reference.tag} ${reference.attribute}>`
+        });
+        continue;
+      }
+      if (resource.html !== null && NAVIGATION_TAGS.has(reference.tag)) {
+        queue.push(resource.url);
+        if (target.hash.length > 1) {
+          fragments.push({ page: page.url, url: reference.url, target: resource.url, hash: target.hash.slice(1) });
+        }
+      }
+    }
+  }
+
+  fragments.forEach(fragment => {
+    let id;
+    try {
+      id = decodeURIComponent(fragment.hash);
+    } catch (e) {
+      id = fragment.hash;
+    }
+    const target = pages.get(fragment.target);
+    if (target && !target.ids.has(id)) {
+      problems.push({ page: fragment.page, url: fragment.url, message: `No element with id "${id}" on the page` });
+    }
+  });
+
+  return { pages, requested: responses.size, problems };
+}
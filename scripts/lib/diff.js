@@ -0,0 +1,62 @@
+// Line diff (longest common subsequence) and unified diff output
+
+// Edit script turning `a` into `b`: [{ op: ' ' | '-' | '+', a, b }] with the
+// indexes of the lines involved on each side
+export function diffLines(a, b, equals = (x, y) => x === y) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = equals(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && equals(a[i], b[j])) {
+      edits.push({ op: ' ', a: i++, b: j++ });
+    } else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      edits.push({ op: '-', a: i++, b: j });
+    } else {
+      edits.push({ op: '+', a: i, b: j++ });
+    }
+  }
+  return edits;
+}
+
+// Group an edit script into unified diff hunks with `context` lines around
+// each change. `lineA` / `lineB` map an index to its text and line number.
+export function formatUnifiedDiff(edits, { labelA, labelB, lineA, lineB, context = 3 }) {
+  const changed = edits.map((edit, index) => (edit.op === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changed.length === 0) return [];
+
+  const ranges = [];
+  changed.forEach(index => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(edits.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) last.end = end;
+    else ranges.push({ start, end });
+  });
+
+  const output = [`--- ${labelA}`, `+++ ${labelB}`];
+  ranges.forEach(({ start, end }) => {
+    const hunk = edits.slice(start, end + 1);
+    output.push(`@@ -${hunkStart(hunk, 'a', '+', lineA)} +${hunkStart(hunk, 'b', '-', lineB)} @@`);
+    hunk.forEach(edit => {
+      const line = edit.op === '+' ? lineB(edit.b) : lineA(edit.a);
+      output.push(`${edit.op}${line.text}`);
+    });
+  });
+  return output;
+}
+
+// First line number a hunk covers on one side (the line before a pure insertion)
+function hunkStart(hunk, side, otherOp, lineOf) {
+  const edit = hunk.find(e => e.op !== otherOp);
+  if (edit) return lineOf(edit[side]).line;
+  return hunk[0][side] > 0 ? lineOf(hunk[0][side] - 1).line : 0;
+}
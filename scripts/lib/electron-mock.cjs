@@ -0,0 +1,710 @@
+// In-memory stand-in for the `electron` module, for running documentation
+// examples under plain Node (scripts/test-examples.js). Covers what the
+// examples and electron-infra-kit use: app, BrowserWindow and webContents,
+// ipcMain, ipcRenderer, contextBridge, MessageChannelMain, screen, shell and
+// dialog. CommonJS because the library require()s it.
+//
+// Main process code runs as is. The preload script and renderer code of a
+// window run inside runInWindow(), which is how ipcRenderer, contextBridge
+// and the DOM globals know which window they belong to.
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const path = require('path');
+
+const windowContext = new AsyncLocalStorage();
+let userDataDir = path.join(process.cwd(), '.electron');
+
+// Window whose preload or renderer code is running, if any
+function currentWindow() {
+  return windowContext.getStore() || null;
+}
+
+function runInWindow(window, fn) {
+  return windowContext.run(window, fn);
+}
+
+// Main process code never runs in a window, even when a renderer triggered it
+function runInMain(fn) {
+  return windowContext.exit(fn);
+}
+
+// Electron copies what crosses the process boundary with the structured
+// clone algorithm, so functions and class instances do not survive
+function cloneForIpc(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Loading a page (the renderer side) is up to the harness
+const hooks = {
+  loadPage: async () => {}
+};
+
+// --- app ---
+
+class App extends EventEmitter {
+  constructor() {
+    super();
+    this.isPackaged = false;
+    this.commandLine = { appendSwitch() {}, hasSwitch: () => false, getSwitchValue: () => '' };
+    this._ready = false;
+    this._quitting = false;
+    this._readyPromise = new Promise(resolve => {
+      this._resolveReady = resolve;
+    });
+  }
+
+  whenReady() {
+    return this._readyPromise;
+  }
+
+  isReady() {
+    return this._ready;
+  }
+
+  getName() {
+    return 'example-app';
+  }
+
+  getVersion() {
+    return '1.0.0';
+  }
+
+  getLocale() {
+    return 'en-US';
+  }
+
+  getAppPath() {
+    return process.cwd();
+  }
+
+  getPath(name) {
+    return path.join(userDataDir, name === 'userData' ? '' : name);
+  }
+
+  setPath() {}
+
+  setAppUserModelId() {}
+
+  requestSingleInstanceLock() {
+    return true;
+  }
+
+  // Closes every window, as app.quit() does, unless before-quit is prevented
+  quit() {
+    if (this._quitting) return;
+    const event = createEvent();
+    this.emit('before-quit', event);
+    if (event.defaultPrevented) return;
+    this._quitting = true;
+    BrowserWindow.getAllWindows().forEach(window => window.close());
+    this.emit('will-quit', createEvent());
+    this.emit('quit', createEvent(), 0);
+  }
+
+  exit() {
+    this.quit();
+  }
+
+  relaunch() {}
+
+  focus() {}
+}
+
+function createEvent(fields = {}) {
+  return {
+    defaultPrevented: false,
+    preventDefault() {
+      this.defaultPrevented = true;
+    },
+    ...fields
+  };
+}
+
+const app = new App();
+
+// --- MessageChannelMain ---
+
+// One end of a message channel. Works both as Electron's MessagePortMain
+// (on('message')) and as the DOM MessagePort the renderer receives
+// (onmessage, addEventListener).
+class MessagePortMain extends EventEmitter {
+  constructor() {
+    super();
+    this.peer = null;
+    this.onmessage = null;
+    this._started = false;
+    this._closed = false;
+    this._queue = [];
+  }
+
+  postMessage(data) {
+    if (this._closed || !this.peer) return;
+    const peer = this.peer;
+    const message = cloneForIpc(data);
+    setImmediate(() => peer._receive(message));
+  }
+
+  _receive(data) {
+    if (this._closed) return;
+    if (!this._started && !this.onmessage) {
+      this._queue.push(data);
+      return;
+    }
+    const event = { data, ports: [] };
+    this.emit('message', event);
+    if (typeof this.onmessage === 'function') this.onmessage(event);
+  }
+
+  start() {
+    this._started = true;
+    this._queue.splice(0).forEach(data => this._receive(data));
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this.emit('close');
+    if (this.peer && !this.peer._closed) this.peer.close();
+  }
+
+  addEventListener(type, listener) {
+    this.on(type, listener);
+    if (type === 'message') this.start();
+  }
+
+  removeEventListener(type, listener) {
+    this.off(type, listener);
+  }
+}
+
+class MessageChannelMain {
+  constructor() {
+    this.port1 = new MessagePortMain();
+    this.port2 = new MessagePortMain();
+    this.port1.peer = this.port2;
+    this.port2.peer = this.port1;
+  }
+}
+
+// --- BrowserWindow and webContents ---
+
+const windows = [];
+let nextId = 1;
+
+class WebContents extends EventEmitter {
+  constructor(window) {
+    super();
+    this.id = window.id;
+    this.window = window;
+    this.session = { clearCache: async () => {}, clearStorageData: async () => {} };
+    this._url = '';
+    this._loading = false;
+    this._devTools = false;
+    this._rendererListeners = new EventEmitter();
+    this._windowOpenHandler = null;
+  }
+
+  // Message from the main process to this window's ipcRenderer listeners
+  send(channel, ...args) {
+    this._deliver(channel, args, []);
+  }
+
+  postMessage(channel, message, transfer = []) {
+    this._deliver(channel, [message], transfer);
+  }
+
+  _deliver(channel, args, ports) {
+    if (this.isDestroyed()) throw new Error('Object has been destroyed');
+    const values = args.map(cloneForIpc);
+    setImmediate(() => {
+      runInWindow(this.window, () => {
+        this._rendererListeners.emit(channel, { sender: ipcRenderer, senderId: 0, ports }, ...values);
+      });
+    });
+  }
+
+  isDestroyed() {
+    return this.window.isDestroyed();
+  }
+
+  isCrashed() {
+    return false;
+  }
+
+  isLoading() {
+    return this._loading;
+  }
+
+  getURL() {
+    return this._url;
+  }
+
+  getTitle() {
+    return this.window.getTitle();
+  }
+
+  async loadURL(url) {
+    this._url = url;
+    this._loading = true;
+    this.emit('did-start-loading');
+    try {
+      await hooks.loadPage(this.window, url);
+    } finally {
+      this._loading = false;
+    }
+    if (this.isDestroyed()) return;
+    this.emit('dom-ready', createEvent());
+    this.emit('did-finish-load');
+    this.emit('did-stop-loading');
+    this.window.emit('ready-to-show');
+  }
+
+  reload() {
+    return this.loadURL(this._url);
+  }
+
+  openDevTools() {
+    this._devTools = true;
+    this.emit('devtools-opened');
+  }
+
+  closeDevTools() {
+    this._devTools = false;
+    this.emit('devtools-closed');
+  }
+
+  isDevToolsOpened() {
+    return this._devTools;
+  }
+
+  toggleDevTools() {
+    if (this._devTools) this.closeDevTools();
+    else this.openDevTools();
+  }
+
+  setWindowOpenHandler(handler) {
+    this._windowOpenHandler = handler;
+  }
+
+  async executeJavaScript(code) {
+    return runInWindow(this.window, () => this.window._page?.window.eval(code));
+  }
+
+  setZoomFactor() {}
+
+  getZoomFactor() {
+    return 1;
+  }
+}
+
+class BrowserWindow extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.id = nextId++;
+    this.options = options;
+    this.webContents = new WebContents(this);
+    this._bounds = {
+      x: options.x ?? 0,
+      y: options.y ?? 0,
+      width: options.width ?? 800,
+      height: options.height ?? 600
+    };
+    this._title = options.title ?? '';
+    this._visible = options.show !== false;
+    this._state = 'normal';
+    this._fullScreen = Boolean(options.fullscreen);
+    this._destroyed = false;
+    this._page = null;
+    windows.push(this);
+    app.emit('browser-window-created', createEvent(), this);
+  }
+
+  static getAllWindows() {
+    return windows.filter(window => !window.isDestroyed());
+  }
+
+  static getFocusedWindow() {
+    return BrowserWindow.getAllWindows().find(window => window._focused) || null;
+  }
+
+  static fromWebContents(webContents) {
+    return BrowserWindow.getAllWindows().find(window => window.webContents === webContents) || null;
+  }
+
+  static fromId(id) {
+    return BrowserWindow.getAllWindows().find(window => window.id === id) || null;
+  }
+
+  loadURL(url) {
+    return this.webContents.loadURL(url);
+  }
+
+  loadFile(filePath, options = {}) {
+    const url = new URL(`file://${path.resolve(filePath).split(path.sep).join('/')}`);
+    if (options.query) url.search = new URLSearchParams(options.query).toString();
+    if (options.hash) url.hash = options.hash;
+    return this.webContents.loadURL(url.href);
+  }
+
+  isDestroyed() {
+    return this._destroyed;
+  }
+
+  // close() can be prevented by a 'close' listener, destroy() cannot
+  close() {
+    if (this._destroyed) return;
+    const event = createEvent();
+    this.emit('close', event);
+    if (event.defaultPrevented) return;
+    this.destroy();
+  }
+
+  destroy() {
+    if (this._destroyed) return;
+    this._destroyed = true;
+    this._visible = false;
+    this._focused = false;
+    this.webContents.emit('destroyed');
+    this.emit('closed');
+    if (this._page) this._page.window.close();
+    // Not emitted when app.quit() closes the windows
+    if (BrowserWindow.getAllWindows().length === 0 && !app._quitting) app.emit('window-all-closed');
+  }
+
+  show() {
+    this._visible = true;
+    this.emit('show');
+    this.focus();
+  }
+
+  showInactive() {
+    this._visible = true;
+    this.emit('show');
+  }
+
+  hide() {
+    this._visible = false;
+    this.emit('hide');
+  }
+
+  isVisible() {
+    return this._visible;
+  }
+
+  focus() {
+    BrowserWindow.getAllWindows().forEach(window => {
+      if (window !== this && window._focused) {
+        window._focused = false;
+        window.emit('blur');
+      }
+    });
+    this._focused = true;
+    this.emit('focus');
+  }
+
+  blur() {
+    this._focused = false;
+    this.emit('blur');
+  }
+
+  isFocused() {
+    return Boolean(this._focused);
+  }
+
+  minimize() {
+    this._state = 'minimized';
+    this.emit('minimize');
+  }
+
+  isMinimized() {
+    return this._state === 'minimized';
+  }
+
+  maximize() {
+    this._state = 'maximized';
+    this.emit('maximize');
+  }
+
+  unmaximize() {
+    this._state = 'normal';
+    this.emit('unmaximize');
+  }
+
+  isMaximized() {
+    return this._state === 'maximized';
+  }
+
+  restore() {
+    this._state = 'normal';
+    this.emit('restore');
+  }
+
+  setFullScreen(flag) {
+    this._fullScreen = Boolean(flag);
+    this.emit(flag ? 'enter-full-screen' : 'leave-full-screen');
+  }
+
+  isFullScreen() {
+    return this._fullScreen;
+  }
+
+  isNormal() {
+    return this._state === 'normal' && !this._fullScreen;
+  }
+
+  getBounds() {
+    return { ...this._bounds };
+  }
+
+  setBounds(bounds) {
+    this._bounds = { ...this._bounds, ...bounds };
+    this.emit('resize');
+    this.emit('move');
+  }
+
+  getContentBounds() {
+    return this.getBounds();
+  }
+
+  getNormalBounds() {
+    return this.getBounds();
+  }
+
+  getSize() {
+    return [this._bounds.width, this._bounds.height];
+  }
+
+  setSize(width, height) {
+    this.setBounds({ width, height });
+  }
+
+  getPosition() {
+    return [this._bounds.x, this._bounds.y];
+  }
+
+  setPosition(x, y) {
+    this.setBounds({ x, y });
+  }
+
+  center() {}
+
+  getTitle() {
+    return this._title;
+  }
+
+  setTitle(title) {
+    this._title = title;
+  }
+
+  setMenu() {}
+
+  removeMenu() {}
+
+  setMenuBarVisibility() {}
+
+  setAlwaysOnTop() {}
+
+  setSkipTaskbar() {}
+
+  setParentWindow(parent) {
+    this.options.parent = parent;
+  }
+
+  getParentWindow() {
+    return this.options.parent || null;
+  }
+
+  getChildWindows() {
+    return BrowserWindow.getAllWindows().filter(window => window.options.parent === this);
+  }
+
+  setProgressBar() {}
+
+  flashFrame() {}
+}
+
+// --- IPC ---
+
+class IpcMain extends EventEmitter {
+  constructor() {
+    super();
+    this._handlers = new Map();
+  }
+
+  handle(channel, handler) {
+    if (this._handlers.has(channel)) {
+      throw new Error(`Attempted to register a second handler for '${channel}'`);
+    }
+    this._handlers.set(channel, handler);
+  }
+
+  handleOnce(channel, handler) {
+    this.handle(channel, (...args) => {
+      this.removeHandler(channel);
+      return handler(...args);
+    });
+  }
+
+  removeHandler(channel) {
+    this._handlers.delete(channel);
+  }
+}
+
+const ipcMain = new IpcMain();
+
+function mainEvent(window, fields = {}) {
+  return createEvent({
+    sender: window.webContents,
+    senderFrame: { url: window.webContents.getURL() },
+    processId: window.id,
+    frameId: 1,
+    ports: [],
+    ...fields
+  });
+}
+
+// ipcRenderer of the window whose code is running
+function requireWindow(method) {
+  const window = currentWindow();
+  if (!window) throw new Error(`ipcRenderer.${method}() can only be used in a preload script or renderer`);
+  return window;
+}
+
+const ipcRenderer = {
+  async invoke(channel, ...args) {
+    const window = requireWindow('invoke');
+    const handler = ipcMain._handlers.get(channel);
+    if (!handler) {
+      throw new Error(`Error invoking remote method '${channel}': Error: No handler registered for '${channel}'`);
+    }
+    const values = args.map(cloneForIpc);
+    try {
+      return cloneForIpc(await runInMain(() => handler(mainEvent(window), ...values)));
+    } catch (error) {
+      throw new Error(`Error invoking remote method '${channel}': ${error}`);
+    }
+  },
+
+  send(channel, ...args) {
+    const window = requireWindow('send');
+    const values = args.map(cloneForIpc);
+    setImmediate(() => runInMain(() => ipcMain.emit(channel, mainEvent(window), ...values)));
+  },
+
+  sendSync(channel, ...args) {
+    const window = requireWindow('sendSync');
+    const event = mainEvent(window, { returnValue: undefined });
+    runInMain(() => ipcMain.emit(channel, event, ...args.map(cloneForIpc)));
+    return cloneForIpc(event.returnValue);
+  },
+
+  postMessage(channel, message, transfer = []) {
+    const window = requireWindow('postMessage');
+    setImmediate(() => runInMain(() => ipcMain.emit(channel, mainEvent(window, { ports: transfer }), cloneForIpc(message))));
+  },
+
+  on(channel, listener) {
+    requireWindow('on').webContents._rendererListeners.on(channel, listener);
+    return ipcRenderer;
+  },
+
+  once(channel, listener) {
+    requireWindow('once').webContents._rendererListeners.once(channel, listener);
+    return ipcRenderer;
+  },
+
+  off(channel, listener) {
+    requireWindow('off').webContents._rendererListeners.off(channel, listener);
+    return ipcRenderer;
+  },
+
+  removeListener(channel, listener) {
+    return ipcRenderer.off(channel, listener);
+  },
+
+  removeAllListeners(channel) {
+    requireWindow('removeAllListeners').webContents._rendererListeners.removeAllListeners(channel);
+    return ipcRenderer;
+  }
+};
+
+// Exposed values are copied onto the page's window object
+const contextBridge = {
+  exposeInMainWorld(key, api) {
+    const window = currentWindow();
+    if (!window || !window._page) {
+      throw new Error('contextBridge.exposeInMainWorld() can only be used in a preload script');
+    }
+    if (key in window._page.window) {
+      throw new Error(`Cannot bind an API on top of an existing property on the window object: ${key}`);
+    }
+    window._page.window[key] = api;
+  }
+};
+
+// --- screen, shell, dialog ---
+
+const primaryDisplay = {
+  id: 1,
+  bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+  workArea: { x: 0, y: 0, width: 1920, height: 1040 },
+  workAreaSize: { width: 1920, height: 1040 },
+  size: { width: 1920, height: 1080 },
+  scaleFactor: 1,
+  rotation: 0
+};
+
+const screen = Object.assign(new EventEmitter(), {
+  getPrimaryDisplay: () => primaryDisplay,
+  getAllDisplays: () => [primaryDisplay],
+  getDisplayMatching: () => primaryDisplay,
+  getDisplayNearestPoint: () => primaryDisplay,
+  getCursorScreenPoint: () => ({ x: 0, y: 0 })
+});
+
+const shell = {
+  openExternal: async () => {},
+  openPath: async () => '',
+  showItemInFolder() {}
+};
+
+const dialog = {
+  showOpenDialog: async () => ({ canceled: true, filePaths: [] }),
+  showSaveDialog: async () => ({ canceled: true, filePath: undefined }),
+  showMessageBox: async () => ({ response: 0, checkboxChecked: false }),
+  showErrorBox() {}
+};
+
+module.exports = {
+  app,
+  BrowserWindow,
+  dialog,
+  ipcMain,
+  MessageChannelMain,
+  screen,
+  shell,
+  // Renderer modules, undefined in the main process as they are in Electron
+  get contextBridge() {
+    return currentWindow() ? contextBridge : undefined;
+  },
+  get ipcRenderer() {
+    return currentWindow() ? ipcRenderer : undefined;
+  },
+  // For the harness, not part of Electron's API
+  mock: {
+    hooks,
+    currentWindow,
+    runInWindow,
+    runInMain,
+    // Emit ready and resolve app.whenReady()
+    ready() {
+      app._ready = true;
+      app.emit('will-finish-launching');
+      app.emit('ready', createEvent(), {});
+      app._resolveReady();
+    },
+    setUserDataDir(dir) {
+      userDataDir = dir;
+    }
+  }
+};
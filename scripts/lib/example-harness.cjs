@@ -0,0 +1,194 @@
+// Runs one assembled example project (see scripts/test-examples.js) in a
+// child process: the main process files run as is against the Electron mock,
+// each window a file loads gets a jsdom document in which its preload script
+// and the page's scripts run. What went wrong is sent back to the parent.
+//
+// Usage: node example-harness.cjs <project.json>
+//   { projectDir, rootDir, entries: [main process files], settleMs }
+const fs = require('fs');
+const Module = require('module');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const mockPath = path.join(__dirname, 'electron-mock.cjs');
+const project = JSON.parse(fs.readFileSync(process.argv[2], 'utf-8'));
+
+const errors = [];
+const warnings = [];
+// Project files a window loaded: pages, preload scripts, page scripts
+const loaded = new Set();
+
+// Only the first frames are needed to find the example line
+Error.stackTraceLimit = 30;
+
+function describe(reason) {
+  if (reason instanceof Error) {
+    // Node adds the require stack to the message of a missing module
+    return { message: `${reason.name}: ${reason.message.split('\n')[0]}`, stack: reason.stack || '' };
+  }
+  return { message: `Non-error thrown: ${String(reason)}`, stack: new Error().stack };
+}
+
+function fail(type, reason) {
+  errors.push({ type, ...describe(reason) });
+}
+
+// 'electron' is the mock. Packages the example imports are resolved from
+// the documentation repo, where electron-infra-kit and zod are installed.
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, parent, isMain, options) {
+  if (request === 'electron') return mockPath;
+  try {
+    return resolveFilename.call(this, request, parent, isMain, options);
+  } catch (error) {
+    if (request.startsWith('.') || path.isAbsolute(request)) throw error;
+    return resolveFilename.call(this, request, parent, isMain, { paths: [project.rootDir] });
+  }
+};
+
+// Electron's main process, which is how electron-log tells it runs in Electron
+process.type = 'browser';
+process.versions.electron = '28.0.0';
+
+const electron = require(mockPath);
+const { mock } = electron;
+mock.setUserDataDir(path.join(project.projectDir, '.userData'));
+
+// Browser globals of the preload script and the renderer: those of the
+// window whose code is running, undefined in the main process
+const PAGE_GLOBALS = [
+  'window', 'document', 'location', 'history', 'navigator', 'localStorage', 'sessionStorage',
+  'alert', 'confirm', 'prompt', 'getComputedStyle', 'matchMedia', 'requestAnimationFrame', 'cancelAnimationFrame',
+  'Node', 'Element', 'HTMLElement', 'HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement',
+  'HTMLButtonElement', 'HTMLFormElement', 'KeyboardEvent', 'MouseEvent', 'InputEvent'
+];
+
+PAGE_GLOBALS.filter(name => !(name in globalThis)).forEach(name => {
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    get() {
+      const window = mock.currentWindow();
+      return window && window._page ? window._page.window[name] : undefined;
+    }
+  });
+});
+
+// Load a file the example's code imports, fresh for every window that loads it
+function requireFresh(file) {
+  loaded.add(relative(file));
+  delete require.cache[require.resolve(file)];
+  return require(file);
+}
+
+function relative(file) {
+  return path.relative(project.projectDir, file).split(path.sep).join('/');
+}
+
+// What Electron does in the renderer when a window loads a page
+async function loadPage(window, url) {
+  if (!url.startsWith('file:')) {
+    warnings.push({ type: 'remote-page', message: `Window ${window.id} loads ${url}, which is not part of the example` });
+    return;
+  }
+  const file = fileURLToPath(url.replace(/[?#].*$/, ''));
+  if (!fs.existsSync(file)) {
+    throw new Error(`ERR_FILE_NOT_FOUND (-6) loading '${url}' (${relative(file)} is not in the example)`);
+  }
+  loaded.add(relative(file));
+
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => {
+    if (!/^Not implemented/.test(error.message)) warnings.push({ type: 'page', ...describe(error) });
+  });
+  const page = new JSDOM(fs.readFileSync(file, 'utf-8'), { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  window._page = page;
+
+  // jsdom's postMessage drops the transfer list. Chromium hands transferred
+  // ports to the message event, which is how setupMessageBus() passes the
+  // MessageBus port from the preload script to the page.
+  const postMessage = page.window.postMessage.bind(page.window);
+  const origin = page.window.location.origin;
+  page.window.postMessage = (message, targetOrigin, transfer) => {
+    if (!transfer || transfer.length === 0) return postMessage(message, targetOrigin);
+    setTimeout(() => {
+      if (window.isDestroyed()) return;
+      const event = new page.window.Event('message');
+      Object.defineProperties(event, {
+        data: { value: message },
+        ports: { value: [...transfer] },
+        origin: { value: origin },
+        source: { value: page.window }
+      });
+      page.window.dispatchEvent(event);
+    });
+  };
+
+  await mock.runInWindow(window, async () => {
+    // The preload script runs before the page's scripts; when it fails the
+    // page still loads, without what the script would have exposed
+    const preload = window.options.webPreferences && window.options.webPreferences.preload;
+    if (preload) {
+      try {
+        if (!fs.existsSync(preload)) throw new Error(`Unable to load preload script: ${relative(preload)} is not in the example`);
+        requireFresh(preload);
+      } catch (error) {
+        fail('preload', error);
+      }
+    }
+
+    const { document } = page.window;
+    for (const script of document.querySelectorAll('script[src]')) {
+      const src = new URL(script.getAttribute('src'), url);
+      if (src.protocol !== 'file:') continue;
+      const scriptFile = fileURLToPath(src.href.replace(/[?#].*$/, ''));
+      try {
+        if (!fs.existsSync(scriptFile)) throw new Error(`${relative(file)} loads ${relative(scriptFile)}, which is not in the example`);
+        requireFresh(scriptFile);
+      } catch (error) {
+        fail('renderer', error);
+      }
+    }
+
+    document.dispatchEvent(new page.window.Event('DOMContentLoaded'));
+    page.window.dispatchEvent(new page.window.Event('load'));
+  });
+}
+
+mock.hooks.loadPage = loadPage;
+
+process.on('uncaughtException', error => fail('uncaught', error));
+process.on('unhandledRejection', reason => fail('unhandled-rejection', reason));
+
+// console.error() of the example (or of the library on its behalf) is worth
+// a look, the rest of the output is not
+console.log = console.info = console.debug = console.warn = () => {};
+console.error = (...args) => {
+  warnings.push({
+    type: 'console-error',
+    message: args.map(arg => (arg instanceof Error ? `${arg.name}: ${arg.message}` : String(arg))).join(' '),
+    stack: new Error().stack
+  });
+};
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, project.settleMs));
+}
+
+async function run() {
+  for (const entry of project.entries) {
+    try {
+      require(path.join(project.projectDir, entry));
+    } catch (error) {
+      fail('main', error);
+    }
+  }
+  mock.ready();
+  await settle();
+  electron.app.quit();
+  await settle();
+}
+
+run().then(() => {
+  process.send({ errors, warnings, loaded: [...loaded] }, () => process.exit(0));
+});
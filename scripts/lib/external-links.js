@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+
+const defaultOptions = {
+  concurrency: 4,
+  retries: 2,
+  retryDelay: 1000,
+  // Longest Retry-After worth waiting for; a server asking for more fails
+  maxRetryAfter: 30000,
+  timeout: 10000,
+  hostInterval: 500,
+  maxRedirects: 5,
+  userAgent: 'electron-infra-kit-docs link checker'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default HTTP layer built on the global fetch. Any function with the same
+// signature can be passed as `request` instead, e.g. one that talks to a
+// local stub server. It must resolve to { status, location } and never follow
+// redirects itself.
+export async function fetchRequest(url, { method, timeout, userAgent }) {
+  const response = await fetch(url, {
+    method,
+    redirect: 'manual',
+    headers: { 'user-agent': userAgent },
+    signal: AbortSignal.timeout(timeout)
+  });
+  // Release the connection, the body is never needed
+  if (response.body) {
+    await response.body.cancel().catch(() => {});
+  }
+  return {
+    status: response.status,
+    location: response.headers.get('location'),
+    retryAfter: response.headers.get('retry-after')
+  };
+}
+
+// On-disk cache of link results that expire after `ttl` milliseconds
+export function createLinkCache(cacheFile, ttl) {
+  let entries = {};
+  if (cacheFile && fs.existsSync(cacheFile)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+    } catch (e) {
+      entries = {};
+    }
+  }
+
+  return {
+    get(url) {
+      const entry = entries[url];
+      if (!entry || Date.now() - entry.checkedAt > ttl) return null;
+      return entry.result;
+    },
+    set(url, result) {
+      entries[url] = { checkedAt: Date.now(), result };
+    },
+    save() {
+      if (!cacheFile) return;
+      const now = Date.now();
+      const fresh = Object.fromEntries(
+        Object.entries(entries).filter(([, entry]) => now - entry.checkedAt <= ttl)
+      );
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify(fresh, null, 2));
+    }
+  };
+}
+
+// Allowlist entries are host names ("example.com" also covers subdomains),
+// URL prefixes ("https://github.com/org/repo/compare/") or RegExps
+export function isAllowlisted(url, allowlist) {
+  let host = '';
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    return false;
+  }
+  return allowlist.some(entry => {
+    if (entry instanceof RegExp) return entry.test(url);
+    if (entry.includes('/')) return url.startsWith(entry);
+    return host === entry || host.endsWith(`.${entry}`);
+  });
+}
+
+// Spaces request start times per host so no server sees bursts
+function createHostLimiter(interval) {
+  const nextSlot = new Map();
+  return async url => {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + interval);
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
+// Worth asking again: the network failed (timeouts included), the server is
+// rate limiting or broken. A redirect loop or a 404 answers the same twice.
+function isRetryable(result) {
+  return result.networkError === true || result.status === 429 || result.status >= 500;
+}
+
+// Check one URL: HEAD first, GET when the server does not support HEAD,
+// following redirects by hand so the chain can be reported
+async function checkUrl(url, options, waitForHost) {
+  const redirects = [];
+  let current = url;
+
+  for (let hop = 0; hop <= options.maxRedirects; hop++) {
+    let response;
+    for (const method of ['HEAD', 'GET']) {
+      await waitForHost(current);
+      try {
+        response = await options.request(current, {
+          method,
+          timeout: options.timeout,
+          userAgent: options.userAgent
+        });
+      } catch (e) {
+        response = { error: e.name === 'TimeoutError' ? 'timeout' : e.message };
+      }
+      // Plenty of servers reject or mishandle HEAD, GET is authoritative
+      if (response.error === undefined && response.status < 400) break;
+      if (response.status === 429) break;
+    }
+
+    if (response.error !== undefined) {
+      return { url, ok: false, error: response.error, networkError: true, redirects };
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.location) {
+      let next;
+      try {
+        next = new URL(response.location, current).href;
+      } catch (e) {
+        // Every request gets the same malformed Location, not worth a retry
+        return { url, ok: false, error: `invalid redirect to ${response.location}`, redirects };
+      }
+      redirects.push({ status: response.status, from: current, to: next });
+      current = next;
+      continue;
+    }
+
+    return {
+      url,
+      ok: response.status < 400,
+      status: response.status,
+      retryAfter: response.retryAfter,
+      finalUrl: current,
+      redirects
+    };
+  }
+
+  return { url, ok: false, error: `more than ${options.maxRedirects} redirects`, redirects };
+}
+
+// Check a list of external URLs with bounded concurrency, retries with
+// backoff, per-host rate limiting, an allowlist and an optional cache.
+// Resolves to a Map of url -> result.
+export async function checkExternalUrls(urls, userOptions = {}) {
+  const options = { ...defaultOptions, request: fetchRequest, allowlist: [], ...userOptions };
+  const { cache, allowlist } = options;
+  const waitForHost = createHostLimiter(options.hostInterval);
+  const results = new Map();
+  const queue = [];
+
+  for (const url of new Set(urls)) {
+    if (isAllowlisted(url, allowlist)) {
+      results.set(url, { url, ok: true, skipped: true, redirects: [] });
+      continue;
+    }
+    const cached = cache ? cache.get(url) : null;
+    if (cached) {
+      results.set(url, { ...cached, cached: true });
+      continue;
+    }
+    queue.push(url);
+  }
+
+  async function worker() {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      let result;
+      for (let attempt = 0; attempt <= options.retries; attempt++) {
+        if (attempt > 0) {
+          const retryAfter = Number(result.retryAfter) * 1000;
+          await sleep(retryAfter > 0 ? retryAfter : options.retryDelay * 2 ** (attempt - 1));
+        }
+        result = await checkUrl(url, options, waitForHost);
+        if (!isRetryable(result)) break;
+        if (Number(result.retryAfter) * 1000 > options.maxRetryAfter) break;
+      }
+      delete result.retryAfter;
+      delete result.networkError;
+      results.set(url, result);
+      // Failures are re-checked on the next run instead of being cached
+      if (cache && result.ok) cache.set(url, result);
+      if (options.onProgress) options.onProgress(result);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.min(options.concurrency, queue.length) },
+    () => worker()
+  );
+  await Promise.all(workers);
+
+  if (cache) cache.save();
+  return results;
+}
@@ -0,0 +1,22 @@
+import fs from 'fs';
+import path from 'path';
+
+// Get all markdown files below a directory, skipping dot directories
+export function getAllMarkdownFiles(dir, fileList = []) {
+  const files = fs.readdirSync(dir);
+  
+  files.forEach(file => {
+    const filePath = path.join(dir, file);
+    const stat = fs.statSync(filePath);
+    
+    if (stat.isDirectory()) {
+      if (!file.startsWith('.') && file !== 'node_modules') {
+        getAllMarkdownFiles(filePath, fileList);
+      }
+    } else if (file.endsWith('.md')) {
+      fileList.push(filePath);
+    }
+  });
+  
+  return fileList;
+}
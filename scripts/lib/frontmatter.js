@@ -0,0 +1,167 @@
+// Frontmatter parsing (with gray-matter, like VitePress itself), validation
+// against scripts/config/frontmatter-schema.json and comparison across
+// translations of a page.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import matter from 'gray-matter';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const schemaPath = path.join(__dirname, '../config/frontmatter-schema.json');
+
+// Parsed frontmatter of a page; YAML errors are returned, not thrown
+export function parseFrontmatter(content) {
+  try {
+    return { data: matter(content).data, error: null };
+  } catch (e) {
+    return {
+      data: {},
+      error: { message: e.reason || e.message, line: e.mark ? e.mark.line + 1 : null }
+    };
+  }
+}
+
+export function loadFrontmatterSchema() {
+  return JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+}
+
+// Schema of a page: the common keys merged with those of its layout
+export function schemaForLayout(schema, layout = 'doc') {
+  const common = schema.common;
+  const specific = schema.layouts[layout] || { properties: {}, additionalProperties: true };
+  return {
+    type: 'object',
+    properties: { ...common.properties, ...specific.properties },
+    required: [...(common.required || []), ...(specific.required || [])],
+    additionalProperties: specific.additionalProperties !== false
+  };
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (value instanceof Date) return 'string';
+  return typeof value;
+}
+
+function resolve(node, schema) {
+  if (node && node.$ref) {
+    return node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], schema);
+  }
+  return node || {};
+}
+
+function join(base, key) {
+  return typeof key === 'number' ? `${base}[${key}]` : base ? `${base}.${key}` : key;
+}
+
+// Check a value against a schema node; returns [{ path, message }]
+export function validateFrontmatter(value, node, schema, at = '', problems = []) {
+  node = resolve(node, schema);
+
+  if (node.oneOf) {
+    const branches = node.oneOf.map(branch => validateFrontmatter(value, branch, schema, at, []));
+    if (!branches.some(result => result.length === 0)) {
+      // Report the branch of the right type, it has the most useful message
+      const typed = node.oneOf.findIndex(branch => {
+        const types = [].concat(resolve(branch, schema).type || []);
+        return types.includes(typeOf(value));
+      });
+      problems.push(...(typed === -1
+        ? [{ path: at, message: `has an unsupported shape (${typeOf(value)})` }]
+        : branches[typed]));
+    }
+    return problems;
+  }
+
+  const types = [].concat(node.type || []);
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    problems.push({ path: at, message: `should be ${types.join(' or ')}, got ${typeOf(value)}` });
+    return problems;
+  }
+  if (node.enum && typeof value !== 'object' && !node.enum.includes(value)) {
+    problems.push({ path: at, message: `should be one of ${node.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeOf(value) === 'object') {
+    (node.required || []).forEach(key => {
+      if (!(key in value)) problems.push({ path: join(at, key), message: 'is required' });
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (node.properties && node.properties[key]) {
+        validateFrontmatter(child, node.properties[key], schema, join(at, key), problems);
+      } else if (node.additionalProperties === false) {
+        const known = Object.keys(node.properties || {}).join(', ');
+        problems.push({ path: join(at, key), message: `is not a known key (expected ${known})` });
+      }
+    });
+  }
+
+  if (typeOf(value) === 'array' && node.items) {
+    value.forEach((item, index) => validateFrontmatter(item, node.items, schema, join(at, index), problems));
+  }
+
+  return problems;
+}
+
+// Compare the frontmatter of two translations. Translated strings ("text")
+// may differ, links ("link") must match after `mapLink`, everything else -
+// keys, list lengths, layouts, icons, themes - must be identical.
+// `labels` names the two sides in messages.
+export function compareFrontmatter(a, b, node, schema, { labels, mapLink }, at = '', problems = []) {
+  node = resolve(node, schema);
+
+  if (node.oneOf) {
+    const branch = node.oneOf.find(candidate => validateFrontmatter(a, candidate, schema).length === 0);
+    if (branch && validateFrontmatter(b, branch, schema).length > 0) {
+      problems.push({ path: at, message: `has a different shape: ${labels[0]} ${JSON.stringify(a)}, ${labels[1]} ${JSON.stringify(b)}` });
+      return problems;
+    }
+    return compareFrontmatter(a, b, branch || {}, schema, { labels, mapLink }, at, problems);
+  }
+
+  if (typeOf(a) !== typeOf(b)) {
+    problems.push({ path: at, message: `is ${typeOf(a)} in ${labels[0]} but ${typeOf(b)} in ${labels[1]}` });
+    return problems;
+  }
+
+  if (typeOf(a) === 'array') {
+    if (a.length !== b.length) {
+      problems.push({ path: at, message: `has ${a.length} items in ${labels[0]}, ${b.length} in ${labels[1]}` });
+    }
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      compareFrontmatter(a[i], b[i], node.items, schema, { labels, mapLink }, join(at, i), problems);
+    }
+    return problems;
+  }
+
+  if (typeOf(a) === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.forEach(key => {
+      if (!(key in b)) {
+        problems.push({ path: join(at, key), message: `only exists in ${labels[0]}` });
+      } else if (!(key in a)) {
+        problems.push({ path: join(at, key), message: `only exists in ${labels[1]}` });
+      } else {
+        compareFrontmatter(a[key], b[key], node.properties && node.properties[key], schema,
+          { labels, mapLink }, join(at, key), problems);
+      }
+    });
+    return problems;
+  }
+
+  if (node.text) return problems;
+
+  const [left, right] = node.link ? [mapLink(a, 0), mapLink(b, 1)] : [a, b];
+  if (JSON.stringify(left) !== JSON.stringify(right)) {
+    problems.push({
+      path: at,
+      message: node.link
+        ? `links to different pages: ${labels[0]} ${a}, ${labels[1]} ${b}`
+        : `differs: ${labels[0]} ${JSON.stringify(a)}, ${labels[1]} ${JSON.stringify(b)}`
+    });
+  }
+  return problems;
+}
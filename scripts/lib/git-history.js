@@ -0,0 +1,89 @@
+// Read-only access to the local git history, so checks based on it work
+// offline. Every helper returns null (or an empty list) outside a work tree.
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+// Hash git uses in blame output for lines that are not committed yet
+export const UNCOMMITTED = '0000000000000000000000000000000000000000';
+
+function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+function parseCommits(output) {
+  return output.split('\n').filter(Boolean).map(line => {
+    const [hash, time, ...subject] = line.split('\t');
+    return { hash, time: Number(time), subject: subject.join('\t') };
+  });
+}
+
+// Top-level directory of the work tree containing `dir`
+export function getRepositoryRoot(dir) {
+  try {
+    return git(['rev-parse', '--show-toplevel'], dir).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Last commit that touched a file, or null when it was never committed.
+// Local edits make the file newer than any commit: they are reported as an
+// UNCOMMITTED pseudo commit dated now.
+export function getLastCommit(file) {
+  const cwd = path.dirname(file);
+  try {
+    if (git(['status', '--porcelain', '--', file], cwd).trim()) {
+      return { hash: UNCOMMITTED, time: Math.floor(Date.now() / 1000), subject: 'uncommitted changes' };
+    }
+    return parseCommits(git(['log', '-1', '--format=%H%x09%ct%x09%s', '--', file], cwd))[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Commits that touched a file after `from` up to `to` (default HEAD), newest first
+export function getCommitsBetween(file, from, to = 'HEAD') {
+  try {
+    return parseCommits(
+      git(['log', '--format=%H%x09%ct%x09%s', `${from}..${to}`, '--', file], path.dirname(file))
+    );
+  } catch (e) {
+    return [];
+  }
+}
+
+// Commit and commit time of every line of a file (git blame), index 0 = line 1.
+// Lines changed in the work tree carry the UNCOMMITTED hash.
+export function blameLines(file) {
+  let output;
+  try {
+    output = git(['blame', '--line-porcelain', '--', path.basename(file)], path.dirname(file));
+  } catch (e) {
+    return null;
+  }
+
+  const lines = [];
+  let current = null;
+  output.split('\n').forEach(line => {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) {
+      current = { hash: header[1], time: 0 };
+    } else if (line.startsWith('committer-time ') && current) {
+      current.time = Number(line.slice('committer-time '.length));
+    } else if (line.startsWith('\t') && current) {
+      if (current.hash === UNCOMMITTED) current.time = Math.floor(Date.now() / 1000);
+      lines.push(current);
+      current = null;
+    }
+  });
+  return lines;
+}
+
+export function shortHash(hash) {
+  return hash === UNCOMMITTED ? 'working tree' : hash.slice(0, 7);
+}
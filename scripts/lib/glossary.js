@@ -0,0 +1,82 @@
+// Terminology checks against scripts/config/glossary.json: which renderings
+// of a term a piece of prose uses and which forbidden variants it contains.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CJK } from './prose.js';
+import { escapeRegExp } from './regex.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const glossaryPath = path.join(__dirname, '../config/glossary.json');
+
+// Matcher for one rendering. CJK text has no word boundaries; Latin words
+// must not be part of a longer word ("preload" is not in "preloaded" but is
+// in "preload-only") and may be spaced differently ("IPC  router")
+function renderingPattern(rendering, { exact = false } = {}) {
+  const source = rendering.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  const start = CJK.test(rendering[0]) ? '' : '(?<!\\w)';
+  const end = CJK.test(rendering[rendering.length - 1]) ? '' : '(?!\\w)';
+  return new RegExp(`${start}${source}${end}`, exact ? 'g' : 'gi');
+}
+
+// Glossary entries with their renderings compiled, one entry per term and
+// one per name that is never translated
+export function loadGlossary() {
+  const config = JSON.parse(fs.readFileSync(glossaryPath, 'utf-8'));
+  const compile = (renderings, options) => renderings.map(rendering => ({
+    rendering,
+    pattern: renderingPattern(rendering, options)
+  }));
+
+  const terms = config.terms.map(entry => ({
+    term: entry.term,
+    keep: false,
+    translations: Object.fromEntries(
+      Object.entries(entry.translations).map(([code, renderings]) => [code, compile(renderings)])
+    ),
+    // Variants are specific spellings, "messagebus" must not match "MessageBus"
+    forbidden: Object.fromEntries(
+      Object.entries(entry.forbidden || {}).map(([code, renderings]) => [code, compile(renderings, { exact: true })])
+    )
+  }));
+
+  const kept = config.keep.map(name => ({
+    term: name,
+    keep: true,
+    // The same rendering in every language
+    rendering: { rendering: name, pattern: renderingPattern(name, { exact: true }) },
+    forbidden: {}
+  }));
+
+  return [...terms, ...kept];
+}
+
+// Accepted renderings of a glossary entry in a language, null when the
+// glossary does not cover that language
+export function renderingsFor(entry, code) {
+  if (entry.keep) return [entry.rendering];
+  return entry.translations[code.toLowerCase()] || null;
+}
+
+// Whether the text uses any of the renderings
+export function mentions(text, renderings) {
+  return renderings.some(({ pattern }) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  });
+}
+
+// Forbidden variants used in the text: [{ entry, variant }]
+export function findForbiddenTerms(text, glossary, code) {
+  const found = [];
+  glossary.forEach(entry => {
+    (entry.forbidden[code.toLowerCase()] || []).forEach(({ rendering, pattern }) => {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(text);
+      if (match) found.push({ entry, variant: rendering, text: match[0] });
+    });
+  });
+  return found;
+}
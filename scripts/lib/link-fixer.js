@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { escapeRegExp } from './regex.js';
+
+// Replace a URL on one line, only where it stands as a whole link target:
+// after "(", "<", a quote, "[label]: " or "link: " and before the closing
+// delimiter. Returns null when the URL cannot be found that way.
+export function replaceUrlOnLine(line, url, replacement) {
+  const pattern = new RegExp(
+    `(^|[(<"'\`]|\\]:\\s*|:\\s+)${escapeRegExp(url)}(?=$|[)>"'\`\\s])`
+  );
+  if (!pattern.test(line)) return null;
+  return line.replace(pattern, (match, before) => before + replacement);
+}
+
+// Print the fixes that were not applied as a diff against the source
+function printPendingDiff(pending, rootDir) {
+  console.log(`📝 ${pending.length} links need a decision:\n`);
+  pending.forEach(({ fix, before, after }) => {
+    console.log(`--- ${path.relative(rootDir, fix.file)}`);
+    console.log(`@@ line ${fix.line} @@`);
+    console.log(`-${before}`);
+    if (after !== null) console.log(`+${after}`);
+    if (fix.candidates.length > 1) {
+      console.log(`  candidates: ${fix.candidates.join(', ')}`);
+    }
+    console.log();
+  });
+}
+
+// Ask which candidate to use; returns the chosen URL or null to skip
+async function choose(prompt, fix, rootDir) {
+  console.log(`\n${path.relative(rootDir, fix.file)}:${fix.line}  ${fix.url}`);
+  fix.candidates.forEach((candidate, index) => {
+    console.log(`  ${index + 1}) ${candidate}`);
+  });
+  const answer = (await prompt.question('  Replace with [1-' + fix.candidates.length + ', Enter to skip]: ')).trim();
+  const index = Number(answer) - 1;
+  return Number.isInteger(index) && fix.candidates[index] ? fix.candidates[index] : null;
+}
+
+// Rewrite broken links in their source files. Unambiguous fixes are applied
+// directly; the others are asked for when `interactive` is set and otherwise
+// printed as a diff. Each fix that was applied, and every other use of the
+// same reference definition, gets `applied: true`. Returns the number of
+// links that were rewritten.
+export async function applyLinkFixes(fixes, { interactive = false, rootDir = process.cwd() } = {}) {
+  const canPrompt = interactive && process.stdin.isTTY;
+  if (interactive && !canPrompt) {
+    console.log('⚠️  --interactive needs a terminal, only unambiguous fixes are applied\n');
+  }
+  const prompt = canPrompt ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+
+  // Uses of one reference definition share its fix
+  const byFile = new Map();
+  const shared = new Map();
+  fixes.forEach(fix => {
+    const key = `${fix.file}\n${fix.line}\n${fix.url}`;
+    if (shared.has(key)) {
+      shared.get(key).push(fix);
+      return;
+    }
+    shared.set(key, [fix]);
+    if (!byFile.has(fix.file)) byFile.set(fix.file, []);
+    byFile.get(fix.file).push(fix);
+  });
+
+  const applied = [];
+  const pending = [];
+  try {
+    for (const [file, fileFixes] of byFile) {
+      const lines = fs.readFileSync(file, 'utf-8').split('\n');
+      let changed = false;
+
+      for (const fix of fileFixes) {
+        const before = lines[fix.line - 1];
+        const preview = replaceUrlOnLine(before, fix.url, fix.candidates[0]);
+        if (preview === null) {
+          pending.push({ fix, before, after: null });
+          continue;
+        }
+
+        let replacement = fix.unambiguous ? fix.candidates[0] : null;
+        if (!replacement && prompt) {
+          replacement = await choose(prompt, fix, rootDir);
+        }
+        if (!replacement) {
+          pending.push({ fix, before, after: preview });
+          continue;
+        }
+
+        lines[fix.line - 1] = replaceUrlOnLine(before, fix.url, replacement);
+        applied.push({ fix, replacement });
+        shared.get(`${fix.file}\n${fix.line}\n${fix.url}`).forEach(use => {
+          use.applied = true;
+        });
+        changed = true;
+      }
+
+      if (changed) fs.writeFileSync(file, lines.join('\n'));
+    }
+  } finally {
+    if (prompt) prompt.close();
+  }
+
+  if (applied.length > 0) {
+    console.log(`\n🔧 Fixed ${applied.length} links:\n`);
+    applied.forEach(({ fix, replacement }) => {
+      console.log(`   ${path.relative(rootDir, fix.file)}:${fix.line}`);
+      console.log(`   ${fix.url} → ${replacement}\n`);
+    });
+  }
+  if (pending.length > 0) {
+    printPendingDiff(pending, rootDir);
+  }
+
+  return applied.length;
+}
@@ -0,0 +1,129 @@
+import path from 'path';
+import { slugify } from './anchors.js';
+
+// A suggestion is applied automatically only when it is this similar to the
+// broken link and clearly ahead of the runner-up
+const MIN_SCORE = 0.75;
+const MIN_LEAD = 0.15;
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+// Sort scored candidates and decide whether the best one is unambiguous
+function rank(candidates) {
+  const sorted = candidates
+    .filter(candidate => candidate.score > 0.4)
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = sorted;
+  const unambiguous = Boolean(best) && best.score >= MIN_SCORE &&
+    (!second || best.score - second.score >= MIN_LEAD);
+  return { candidates: sorted.slice(0, 5), unambiguous };
+}
+
+// Page URL without locale prefix, extension or trailing index, for comparing
+function comparablePath(url, localeLink) {
+  return url
+    .slice(localeLink.length - 1)
+    .replace(/\.(md|html)$/, '')
+    .replace(/\/index$/, '/');
+}
+
+function localeLinkOf(site, key) {
+  const locale = site.locales.find(l => l.key === key);
+  return locale ? locale.link : '/';
+}
+
+// The same page in another locale, matched by its locale-relative path
+export function findCounterpart(site, page, localeKey) {
+  return site.translationOf(page, localeKey);
+}
+
+// Likely intended pages for a link that does not resolve to any page, the
+// page the link is on excluded
+export function suggestPages(site, sourcePage, missingUrl) {
+  const localeKey = sourcePage ? sourcePage.locale : null;
+  const localeLink = localeLinkOf(site, localeKey);
+  const wanted = missingUrl.startsWith(localeLink)
+    ? comparablePath(missingUrl, localeLink)
+    : missingUrl.replace(/\.(md|html)$/, '');
+  const wantedBase = path.posix.basename(wanted.replace(/\/$/, ''));
+
+  // The link may carry a locale directory, e.g. /zh/guide/... or /en/guide/...
+  const wantedWithoutDir = wanted.replace(/^\/[^/]+(?=\/)/, '');
+
+  return rank(
+    site.pages
+      .filter(page => localeKey === null || page.locale === localeKey)
+      .filter(page => !sourcePage || page.file !== sourcePage.file)
+      .map(page => {
+        const candidate = comparablePath(page.url, localeLink);
+        const base = path.posix.basename(candidate.replace(/\/$/, ''));
+        let score = Math.max(similarity(wanted, candidate), similarity(wantedWithoutDir, candidate));
+        // A page that kept its file name but moved directories
+        if (base && base === wantedBase && base !== 'index') score = Math.max(score, 0.85);
+        return { page, score };
+      })
+  );
+}
+
+// Likely intended anchors on a page for a fragment that does not exist there
+export function suggestAnchors(anchors, fragment) {
+  const wanted = slugify(fragment);
+  return rank(
+    [...anchors.keys()].map(id => ({
+      fragment: id,
+      score: id === wanted ? 1 : Math.max(similarity(wanted, id), similarity(fragment, id))
+    }))
+  );
+}
+
+// Write a link to `targetPage` in the style of the original link: absolute or
+// relative, with the same .md / .html / bare extension, and with the site
+// base when the original carried it (raw HTML links)
+export function formatLink(originalUrl, sourcePage, targetPage, fragment, base = '/') {
+  const original = originalUrl.replace(/[?#].*$/, '');
+  const extension = original.endsWith('.md') ? '.md' : original.endsWith('.html') ? '.html' : '';
+  let target = targetPage.url.replace(/\.html$/, '');
+
+  if (target.endsWith('/') && extension) {
+    target += 'index';
+  }
+  if (!target.endsWith('/')) {
+    target += extension;
+  }
+
+  let url = target;
+  if (base !== '/' && original.startsWith(base)) {
+    url = base + target.slice(1);
+  } else if (original && !original.startsWith('/') && sourcePage) {
+    const fromDir = sourcePage.url.endsWith('/') ? sourcePage.url : path.posix.dirname(sourcePage.url) + '/';
+    url = path.posix.relative(fromDir, target);
+    if (target.endsWith('/') && !url.endsWith('/')) url += '/';
+    if (url === '/') url = './';
+    if (!url.startsWith('.')) url = './' + url;
+  }
+  if (!original && sourcePage && targetPage.file === sourcePage.file) {
+    url = '';
+  }
+
+  return fragment ? `${url}#${fragment}` : url;
+}
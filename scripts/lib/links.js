@@ -0,0 +1,52 @@
+// Link extraction for markdown pages. Every syntax that ends up as a link or
+// an asset reference on the rendered page is collected with its line number:
+// inline and reference-style links, images, autolinks and bare URLs, raw
+// <a href> / <img src> in HTML and Vue blocks, and home-page frontmatter.
+// Links come from the shared markdown parser, so anything inside code blocks
+// or inline code is ignored the same way the rendered page ignores it.
+import { parseMarkdown } from './markdown.js';
+
+function unquote(value) {
+  const trimmed = value.trim();
+  const match = trimmed.match(/^(['"])(.*)\1$/);
+  return match ? match[2] : trimmed;
+}
+
+// Links declared in the frontmatter of home pages (hero.actions[].link,
+// features[].link) and image sources (hero.image.src)
+function extractFrontmatterLinks(doc, push) {
+  if (!doc.frontmatter) return;
+  doc.lines.slice(0, doc.frontmatter.endLine).forEach((line, index) => {
+    const match = line.match(/^\s*(?:-\s+)?(link|src|light|dark):\s*(\S.*)$/);
+    if (!match) return;
+    const url = unquote(match[2]);
+    if (match[1] !== 'link' && !/^(\.{0,2}\/|https?:)/.test(url)) return;
+    push({
+      url,
+      text: match[1],
+      line: index + 1,
+      kind: 'frontmatter',
+      image: match[1] !== 'link'
+    });
+  });
+}
+
+// Extract links from markdown content
+export function extractLinks(content, filePath) {
+  const doc = parseMarkdown(content);
+  const links = [];
+  const push = link => links.push({ html: false, image: false, ...link, file: filePath });
+
+  extractFrontmatterLinks(doc, push);
+  doc.links.forEach(push);
+
+  // Unused definitions still publish nothing, but a dead target is worth knowing
+  doc.definitions.forEach(({ url, label, line, used }) => {
+    if (!used) push({ url, text: label, line, kind: 'definition' });
+  });
+
+  const undefinedReferences = doc.undefinedReferences.map(reference => ({ ...reference, file: filePath }));
+
+  links.sort((a, b) => a.line - b.line);
+  return { links, undefinedReferences };
+}
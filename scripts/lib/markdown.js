@@ -0,0 +1,390 @@
+// Markdown parsing shared by every check script. Pages are tokenized with
+// markdown-it configured like VitePress (html, linkify without fuzzy links,
+// the tip / warning / details / code-group ... containers), so the scripts
+// agree with the rendered site on what is a heading, a link or a code block:
+// ~~~ fences, indented fences, longer fences wrapping ``` examples and code
+// inside containers are all handled by the tokenizer. Every element carries
+// the 1-based line it starts on.
+import MarkdownIt from 'markdown-it';
+import container from 'markdown-it-container';
+
+// Containers registered by VitePress' default markdown config
+const CONTAINERS = ['tip', 'info', 'warning', 'danger', 'details', 'v-pre', 'raw', 'code-group'];
+
+// Start of a reference definition, `[label]:`, after any blockquote or list
+// item markers
+const DEFINITION_REGEX = /^(?:\s*(?:>|[-+*](?=\s)|\d{1,9}[.)](?=\s)))*\s*\[((?:[^[\]\\]|\\.)+)\]:/;
+
+// Inline rule that runs before markdown-it's link and image rules and notes
+// which reference label a link or image at this position uses: [text][label],
+// [label][] and [label] produce the same tokens as inline links otherwise.
+// It never consumes anything; the note is checked against the token the link
+// or image rule pushed once the inline content is parsed.
+function noteReference(state, silent) {
+  if (silent) return false;
+  const references = state.env.references;
+  if (!references) return false;
+
+  const image = state.src.charCodeAt(state.pos) === 0x21 /* ! */;
+  const start = state.pos + (image ? 1 : 0);
+  if (state.src.charCodeAt(start) !== 0x5B /* [ */) return false;
+
+  const labelEnd = state.md.helpers.parseLinkLabel(state, start, !image);
+  if (labelEnd < 0 || state.src.charCodeAt(labelEnd + 1) === 0x28 /* ( */) return false;
+
+  let label = '';
+  if (state.src.charCodeAt(labelEnd + 1) === 0x5B /* [ */) {
+    const end = state.md.helpers.parseLinkLabel(state, labelEnd + 1);
+    if (end >= 0) label = state.src.slice(labelEnd + 2, end);
+  }
+  const key = state.md.utils.normalizeReference(label || state.src.slice(start + 1, labelEnd));
+  if (references[key]) {
+    // The pending text is flushed into a token of its own first
+    const index = state.tokens.length + (state.pending ? 1 : 0);
+    if (!state.referenceNotes) state.referenceNotes = [];
+    state.referenceNotes.push({ index, image, key });
+  }
+  return false;
+}
+
+// Mark the links and images the notes were taken for with meta.reference.
+// Runs before text fragments are joined, while token indexes still hold.
+function markReferences(state) {
+  (state.referenceNotes || []).forEach(({ index, image, key }) => {
+    const token = state.tokens[index];
+    const attr = image ? 'src' : 'href';
+    if (!token || token.type !== (image ? 'image' : 'link_open')) return;
+    if (token.attrGet(attr) !== state.env.references[key].href) return;
+    token.meta = { ...token.meta, reference: key };
+  });
+}
+
+function createParser() {
+  const md = new MarkdownIt({ html: true, linkify: true });
+  md.linkify.set({ fuzzyLink: false });
+  // Keep link destinations as written, the scripts resolve them themselves
+  md.normalizeLink = url => url;
+  md.validateLink = () => true;
+  CONTAINERS.forEach(name => md.use(container, name));
+  md.inline.ruler.before('link', 'note_reference', noteReference);
+  md.inline.ruler2.before('fragments_join', 'mark_references', markReferences);
+  return md;
+}
+
+// Reference definitions produce no tokens: find the line each one in
+// env.references starts on, skipping code, HTML and paragraph lines. The
+// first definition of a label wins, as it does for markdown-it.
+function findDefinitions(sourceLines, tokens, references) {
+  const taken = new Set();
+  tokens
+    .filter(token => token.map && ['fence', 'code_block', 'html_block', 'inline'].includes(token.type))
+    .forEach(token => {
+      for (let index = token.map[0]; index < token.map[1]; index++) taken.add(index);
+    });
+
+  const definitions = [];
+  sourceLines.forEach((text, index) => {
+    const match = !taken.has(index) && text.match(DEFINITION_REGEX);
+    if (!match) return;
+    const key = md.utils.normalizeReference(match[1]);
+    if (!references[key] || definitions.some(definition => definition.key === key)) return;
+    definitions.push({ key, label: match[1], url: references[key].href, line: index + 1, used: false });
+  });
+  return definitions;
+}
+
+const md = createParser();
+const cache = new Map();
+
+// Line range of the frontmatter block, which VitePress strips before rendering
+function findFrontmatter(lines) {
+  if (lines[0].trim() !== '---') return null;
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  return end === -1 ? null : { line: 1, endLine: end + 1 };
+}
+
+// Trailing markdown-it-attrs block of a heading: `## Title {#custom-id .class}`
+function splitHeadingAttrs(text) {
+  const match = text.match(/^(.*?)\s*\{([^{}]*)\}\s*$/);
+  if (!match) {
+    return { text, id: null };
+  }
+  const idMatch = match[2].match(/(?:^|\s)#([^\s}]+)/);
+  return { text: match[1], id: idMatch ? idMatch[1] : null };
+}
+
+// Whether the last line of a fence token is its closing marker; an unclosed
+// fence runs to the end of the page (or of its container)
+function isClosedFence(token, lines) {
+  const last = token.map[1] - 1;
+  if (last <= token.map[0]) return false;
+  const closing = lines[last].replace(/^[\s>]*/, '').match(/^(`{3,}|~{3,})\s*$/);
+  return Boolean(closing) && closing[1][0] === token.markup[0] && closing[1].length >= token.markup.length;
+}
+
+// Text a reader sees in an inline token, with the line every child is on.
+// Softbreaks move to the next line; code, HTML and autolinked URLs are skipped.
+function walkInline(token, line, visit) {
+  let current = line;
+  let inAutolink = false;
+  token.children.forEach(child => {
+    visit(child, current, inAutolink);
+    if (child.type === 'softbreak' || child.type === 'hardbreak') current++;
+    if (child.type === 'html_inline' || child.type === 'code_inline' || child.type === 'text') {
+      current += (child.content.match(/\n/g) || []).length;
+    }
+    if (child.type === 'link_open') inAutolink = child.markup === 'autolink' || child.markup === 'linkify';
+    if (child.type === 'link_close') inAutolink = false;
+  });
+}
+
+// Line of each match of a regex in a multi-line string that starts on `line`
+function lineOfOffset(text, offset, line) {
+  return line + (text.slice(0, offset).match(/\n/g) || []).length;
+}
+
+// Raw <a href>, <img src> and media sources in HTML (comments excluded, they
+// never reach the page)
+function collectHtmlLinks(content, line, links) {
+  const visible = content.replace(/<!--[\s\S]*?-->/g, match => match.replace(/[^\n]/g, ' '));
+  const tagRegex = /<(a|img|source|video|audio)\b([^>]*?)\s(href|src)\s*=\s*(["'])(.*?)\4([^>]*)>/gi;
+  let match;
+  while ((match = tagRegex.exec(visible)) !== null) {
+    const tag = match[1].toLowerCase();
+    links.push({
+      url: match[5],
+      text: `<${tag} ${match[3]}>`,
+      line: lineOfOffset(visible, match.index, line),
+      kind: 'html',
+      // Vue only rewrites asset URLs, <a href> is emitted verbatim
+      html: tag === 'a',
+      image: tag !== 'a'
+    });
+  }
+}
+
+// Element ids in HTML, which are valid link targets like heading anchors
+function collectHtmlIds(content, line, ids) {
+  const idRegex = /<[a-zA-Z][^>]*?\s(?:id|name)=["']([^"']+)["']/g;
+  let match;
+  while ((match = idRegex.exec(content)) !== null) {
+    ids.push({ id: match[1], line: lineOfOffset(content, match.index, line) });
+  }
+}
+
+// Readable text of an HTML block: tags, comments, scripts and styles removed
+function htmlText(content) {
+  return content
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Parse a page into the elements the check scripts look at:
+//   frontmatter  { line, endLine } or null
+//   headings     [{ level, line, title, id }] - title as the anchor slug sees it
+//   codeBlocks   [{ lang, info, line, endLine, code, fenced, closed, container, before }]
+//   containers   [{ name, info, line, endLine }]
+//   links        [{ url, text, line, kind, html, image, definitionLine }] -
+//                kind is inline, reference, image, autolink or html; reference
+//                links carry the line of the definition their URL comes from
+//   definitions  [{ key, label, url, line, used }] - reference definitions
+//   undefinedReferences [{ label, line }] - [text][label] without a definition
+//   htmlIds      [{ id, line }]
+//   prose        [{ text, line }] - paragraphs, headings, list items, table
+//                rows and container titles as a reader sees them
+export function parseMarkdown(content) {
+  if (cache.has(content)) return cache.get(content);
+
+  const lines = content.split('\n');
+  const frontmatter = findFrontmatter(lines);
+  // Blank the frontmatter instead of cutting it so line numbers stay the same
+  const source = frontmatter
+    ? lines.map((line, index) => (index < frontmatter.endLine ? '' : line)).join('\n')
+    : content;
+
+  const env = {};
+  const tokens = md.parse(source, env);
+  const doc = {
+    lines,
+    frontmatter,
+    headings: [],
+    codeBlocks: [],
+    containers: [],
+    links: [],
+    definitions: findDefinitions(source.split('\n'), tokens, env.references || {}),
+    undefinedReferences: [],
+    htmlIds: [],
+    prose: []
+  };
+
+  const openContainers = [];
+  let lastLine = 1;
+  let row = null;
+  let heading = null;
+
+  tokens.forEach((token, index) => {
+    const line = token.map ? token.map[0] + 1 : lastLine;
+    if (token.map) lastLine = line;
+
+    const containerMatch = token.type.match(/^container_(.+)_(open|close)$/);
+    if (containerMatch) {
+      if (containerMatch[2] === 'open') {
+        const entry = { name: containerMatch[1], info: token.info.trim(), line, endLine: token.map[1] + 1 };
+        doc.containers.push(entry);
+        openContainers.push(entry);
+        const title = entry.info.slice(entry.name.length).trim();
+        if (title) doc.prose.push({ text: title, line });
+      } else {
+        openContainers.pop();
+      }
+      return;
+    }
+
+    switch (token.type) {
+      case 'heading_open':
+        heading = { level: Number(token.tag.slice(1)), line, title: '', id: null };
+        doc.headings.push(heading);
+        break;
+      case 'heading_close':
+        heading = null;
+        break;
+      case 'tr_open':
+        row = { text: [], line };
+        break;
+      case 'tr_close':
+        if (row.text.some(Boolean)) doc.prose.push({ text: row.text.join(' | '), line: row.line });
+        row = null;
+        break;
+      case 'fence':
+      case 'code_block':
+        doc.codeBlocks.push({
+          lang: token.type === 'fence' ? token.info.trim().split(/[\s{:]/)[0] : '',
+          info: token.info.trim(),
+          line,
+          endLine: token.map[1],
+          code: token.content.replace(/\n$/, ''),
+          fenced: token.type === 'fence',
+          closed: token.type === 'fence' ? isClosedFence(token, lines) : true,
+          container: openContainers.length > 0 ? openContainers[openContainers.length - 1].name : null,
+          // Markers such as <!-- allow-code-drift --> go right above the fence
+          before: token.map[0] > 0 ? lines[token.map[0] - 1] : ''
+        });
+        break;
+      case 'html_block': {
+        collectHtmlLinks(token.content, line, doc.links);
+        collectHtmlIds(token.content, line, doc.htmlIds);
+        const text = htmlText(token.content);
+        if (text) doc.prose.push({ text, line });
+        break;
+      }
+      case 'inline':
+        parseInline(token, line, doc, { heading, row });
+        break;
+      default:
+        break;
+    }
+  });
+
+  doc.definitions.forEach(definition => {
+    definition.used = doc.links.some(entry => entry.reference === definition.key);
+  });
+  doc.links.forEach(entry => {
+    const definition = entry.reference && doc.definitions.find(d => d.key === entry.reference);
+    if (definition) entry.definitionLine = definition.line;
+    delete entry.reference;
+  });
+  doc.links.sort((a, b) => a.line - b.line);
+
+  cache.set(content, doc);
+  return doc;
+}
+
+// Links, inline code and prose text of one inline token
+function parseInline(token, line, doc, { heading, row }) {
+  let text = '';
+  let anchorText = '';
+  let linkEntry = null;
+
+  walkInline(token, line, (child, childLine, inAutolink) => {
+    switch (child.type) {
+      case 'text':
+        if (linkEntry) linkEntry.text += child.content;
+        anchorText += child.content;
+        if (!inAutolink) text += child.content;
+        collectUndefinedReferences(child.content, childLine, doc);
+        break;
+      case 'code_inline':
+        if (linkEntry) linkEntry.text += child.content;
+        anchorText += child.content;
+        break;
+      case 'softbreak':
+      case 'hardbreak':
+        text += ' ';
+        break;
+      case 'link_open': {
+        const reference = child.meta && child.meta.reference;
+        linkEntry = {
+          url: child.attrGet('href'),
+          text: '',
+          line: childLine,
+          kind: child.markup === 'autolink' || child.markup === 'linkify' ? 'autolink' : reference ? 'reference' : 'inline',
+          html: false,
+          image: false,
+          reference
+        };
+        doc.links.push(linkEntry);
+        break;
+      }
+      case 'link_close':
+        linkEntry = null;
+        break;
+      case 'image': {
+        const reference = child.meta && child.meta.reference;
+        doc.links.push({
+          url: child.attrGet('src'),
+          text: child.content,
+          line: childLine,
+          kind: reference ? 'reference' : 'image',
+          html: false,
+          image: true,
+          reference
+        });
+        text += child.content;
+        break;
+      }
+      case 'html_inline':
+        collectHtmlLinks(child.content, childLine, doc.links);
+        collectHtmlIds(child.content, childLine, doc.htmlIds);
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (heading) {
+    // markdown-it-anchor slugs the text and inline code of a heading, after
+    // markdown-it-attrs removed a trailing {#id}; image alt text is left out
+    const { text: title, id } = splitHeadingAttrs(anchorText.trim());
+    heading.title = title;
+    heading.id = id;
+  }
+
+  const prose = (heading ? splitHeadingAttrs(text.trim()).text : text).replace(/\s+/g, ' ').trim();
+  if (row) {
+    row.text.push(prose);
+  } else if (prose) {
+    doc.prose.push({ text: prose, line });
+  }
+}
+
+// [text][label] and [label][] whose label has no definition stay plain text
+function collectUndefinedReferences(text, line, doc) {
+  const regex = /\[([^\]\n]+)\]\[([^\]\n]*)\]/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    doc.undefinedReferences.push({ label: match[2] || match[1], line });
+  }
+}
@@ -0,0 +1,97 @@
+// What a built page makes the browser fetch when it is opened: the html, the
+// stylesheets, scripts, module preloads and preloads it names, the JS
+// modules those scripts import statically (dynamic imports load later, on
+// demand), the CSS files stylesheets @import, and its icons and images.
+// Sizes are what goes over the wire: gzip for text files, as GitHub Pages
+// serves them, the file size for the rest.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { htmlReferences, resolveReference } from './build.js';
+
+const COMPRESSED_TYPES = new Set(['.html', '.js', '.mjs', '.css', '.svg', '.json', '.xml', '.txt']);
+
+// Links the browser fetches while loading the page; prefetch and the like
+// are left for later
+const LOADED_RELS = new Set(['stylesheet', 'modulepreload', 'preload', 'icon']);
+
+// Static imports and re-exports of a (minified) module with a relative
+// specifier; import("...") does not match
+const JS_IMPORT_REGEX = /\b(?:import|export)\s*(?:[\w$*{}\s,]*?\bfrom\s*)?["'](\.{1,2}\/[^"']+)["']/g;
+const CSS_IMPORT_REGEX = /@import\s+(?:url\()?\s*["']?([^"')\s;]+)/g;
+
+// Returns weigh(file): the weight of the html file `file` (relative to the
+// build output). Files shared between pages are read once.
+export function createPageWeigher(build) {
+  const sizes = new Map();
+  const imports = new Map();
+
+  function transferSize(file) {
+    if (!sizes.has(file)) {
+      const filePath = path.join(build.outDir, file);
+      let size = 0;
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        const content = fs.readFileSync(filePath);
+        size = COMPRESSED_TYPES.has(path.extname(file).toLowerCase()) ? zlib.gzipSync(content).length : content.length;
+      }
+      sizes.set(file, size);
+    }
+    return sizes.get(file);
+  }
+
+  // Files a JS module or a stylesheet loads in turn
+  function importsOf(file) {
+    if (!imports.has(file)) {
+      const filePath = path.join(build.outDir, file);
+      const regex = file.endsWith('.css') ? CSS_IMPORT_REGEX : JS_IMPORT_REGEX;
+      const found = [];
+      if (fs.existsSync(filePath)) {
+        for (const [, specifier] of fs.readFileSync(filePath, 'utf-8').matchAll(regex)) {
+          const target = resolveReference(build, specifier, file);
+          if (target && target.file) found.push(target.file);
+        }
+      }
+      imports.set(file, found);
+    }
+    return imports.get(file);
+  }
+
+  return function weigh(file) {
+    const html = fs.readFileSync(path.join(build.outDir, file), 'utf-8');
+    const js = new Set();
+    const css = new Set();
+    const other = new Set();
+
+    function addModule(moduleFile) {
+      if (js.has(moduleFile)) return;
+      js.add(moduleFile);
+      importsOf(moduleFile).forEach(addModule);
+    }
+    function addStylesheet(cssFile) {
+      if (css.has(cssFile)) return;
+      css.add(cssFile);
+      importsOf(cssFile).forEach(addStylesheet);
+    }
+
+    htmlReferences(html).forEach(reference => {
+      const rels = reference.rel.split(/\s+/);
+      const loaded = reference.tag === 'script' || reference.tag === 'img' || rels.some(rel => LOADED_RELS.has(rel));
+      if (!loaded) return;
+      const target = resolveReference(build, reference.url, file);
+      if (!target || !target.file) return;
+      if (reference.tag === 'script' || rels.includes('modulepreload')) addModule(target.file);
+      else if (rels.includes('stylesheet')) addStylesheet(target.file);
+      else other.add(target.file);
+    });
+
+    const sum = files => [...files].reduce((total, asset) => total + transferSize(asset), 0);
+    const jsSize = sum(js);
+    const cssSize = sum(css);
+    return {
+      js: jsSize,
+      css: cssSize,
+      transfer: transferSize(file) + jsSize + cssSize + sum(other),
+      requests: 1 + js.size + css.size + other.size
+    };
+  };
+}
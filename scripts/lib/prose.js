@@ -0,0 +1,11 @@
+import { parseMarkdown } from './markdown.js';
+
+// Han, kana and hangul plus CJK punctuation and full-width forms
+export const CJK = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff01-\uff60]/;
+
+// Prose blocks of a page (paragraphs, list items, table rows, headings,
+// container titles, text of HTML blocks) with the line each starts on.
+// Frontmatter, code, HTML tags, URLs and link destinations are not prose.
+export function extractProse(content) {
+  return parseMarkdown(content).prose;
+}
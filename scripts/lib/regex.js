@@ -0,0 +1,6 @@
+// Regular expression helpers shared by the check scripts
+
+// Escape a string so it matches itself literally inside a RegExp
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,133 @@
+import { parseMarkdown } from './markdown.js';
+
+// Split a page into heading sections. Each section runs from its heading to
+// the line before the next heading of any level; everything above the first
+// heading (frontmatter, intro) is a level 0 section. Every section lists the
+// code blocks (mermaid diagrams included) that belong to it.
+export function splitSections(content) {
+  const { lines, headings, codeBlocks } = parseMarkdown(content);
+  const sections = [
+    { level: 0, title: '', line: 1, endLine: lines.length, codeBlocks: [] },
+    ...headings.map(({ level, title, line }) => ({ level, title, line, endLine: lines.length, codeBlocks: [] }))
+  ];
+  sections.forEach((section, index) => {
+    if (index + 1 < sections.length) section.endLine = sections[index + 1].line - 1;
+  });
+
+  codeBlocks.forEach(block => {
+    const section = sections.findLast(candidate => candidate.line <= block.line);
+    section.codeBlocks.push({ lang: block.lang, line: block.line, code: block.code, before: block.before });
+  });
+
+  // A page that opens with its title has no intro section
+  return sections[0].endLine === 0 ? sections.slice(1) : sections;
+}
+
+// Code lines that survive translation: comments and blank lines dropped
+function codeLines(section) {
+  const lines = new Set();
+  section.codeBlocks.forEach(block => {
+    block.code.split('\n').forEach(line => {
+      const trimmed = line.trim().replace(/\s+/g, ' ');
+      if (trimmed && !/^(\/\/|\/\*|\*|#|<!--|%%)/.test(trimmed)) lines.add(trimmed);
+    });
+  });
+  return lines;
+}
+
+// How alike the code of two sections is, 0..1 (Jaccard over code lines)
+function codeSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(line => {
+    if (b.has(line)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Score for pairing two sections: same level, same place on the page, same
+// code and (for API names and the like) the same heading text
+function matchScore(a, b, i, j, sizeA, sizeB) {
+  const position = Math.abs(i / sizeA - j / sizeB);
+  let score = 1 + 3 * codeSimilarity(a.code, b.code) - 3 * position;
+  if (a.level !== b.level) score -= 1.5;
+  if (a.title && a.title === b.title) score += 1;
+  if (a.codeBlocks.length !== b.codeBlocks.length) score -= 0.25;
+  return score;
+}
+
+// Align the heading outlines of two translations of a page. Sections are
+// paired in order (a global alignment, like a diff); sections left over on
+// both sides that share most of their code are reported as moved.
+// Returns rows in page order: { a, b, moved } with a or b null when missing.
+export function alignSections(sectionsA, sectionsB) {
+  const a = sectionsA.map(section => ({ ...section, code: codeLines(section) }));
+  const b = sectionsB.map(section => ({ ...section, code: codeLines(section) }));
+  const n = a.length;
+  const m = b.length;
+
+  // best[i][j]: best total score aligning a[i..] with b[j..]
+  const best = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const pair = matchScore(a[i], b[j], i, j, n, m);
+      best[i][j] = Math.max(
+        best[i + 1][j],
+        best[i][j + 1],
+        pair > 0 ? pair + best[i + 1][j + 1] : -Infinity
+      );
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m) {
+      const pair = matchScore(a[i], b[j], i, j, n, m);
+      if (pair > 0 && best[i][j] === pair + best[i + 1][j + 1]) {
+        rows.push({ a: sectionsA[i++], b: sectionsB[j++], moved: false });
+        continue;
+      }
+    }
+    if (j >= m || (i < n && best[i][j] === best[i + 1][j])) {
+      rows.push({ a: sectionsA[i++], b: null, moved: false });
+    } else {
+      rows.push({ a: null, b: sectionsB[j++], moved: false });
+    }
+  }
+
+  // Pair up leftovers whose code says they are the same section, moved
+  const leftoverB = rows.filter(row => !row.a);
+  rows.filter(row => !row.b).forEach(row => {
+    const ia = sectionsA.indexOf(row.a);
+    const match = leftoverB.find(candidate => {
+      const ib = sectionsB.indexOf(candidate.b);
+      return !candidate.moved && a[ia].level === b[ib].level &&
+        (codeSimilarity(a[ia].code, b[ib].code) >= 0.5 || (a[ia].title && a[ia].title === b[ib].title));
+    });
+    if (match) {
+      row.b = match.b;
+      row.moved = true;
+      match.moved = true;
+    }
+  });
+
+  return rows.filter(row => !(row.a === null && row.moved));
+}
+
+// Terminal columns a string takes, CJK characters being two columns wide
+export function displayWidth(text) {
+  return [...text].reduce((width, char) => width + (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1), 0);
+}
+
+// Short description of the code in a section, e.g. "[ts ×2, mermaid]"
+export function describeCode(section) {
+  if (section.codeBlocks.length === 0) return '';
+  const counts = new Map();
+  section.codeBlocks.forEach(block => {
+    const lang = block.lang || 'text';
+    counts.set(lang, (counts.get(lang) || 0) + 1);
+  });
+  return `[${[...counts].map(([lang, count]) => (count > 1 ? `${lang} ×${count}` : lang)).join(', ')}]`;
+}
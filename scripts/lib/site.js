@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveConfig } from 'vitepress';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const docsDir = path.join(__dirname, '../../docs');
+
+// Extensions VitePress treats as static assets rather than pages
+const KNOWN_EXTENSIONS = new Set(
+  ('3g2,3gp,aac,ai,apng,au,avif,bin,bmp,cer,class,conf,crl,css,csv,dll,doc,eps,epub,exe,gif,gz,ics,ief,jar,' +
+    'jpe,jpeg,jpg,js,json,jsonld,m4a,man,mid,midi,mjs,mov,mp2,mp3,mp4,mpe,mpeg,mpg,mpp,oga,ogg,ogv,ogx,opus,' +
+    'otf,p10,p7c,p7m,p7s,pdf,png,ps,qt,roff,rtf,rtx,ser,svg,t,tif,tiff,tr,ts,tsv,ttf,txt,vtt,wav,weba,webm,' +
+    'webp,woff,woff2,xhtml,xml,yaml,yml,zip').split(',')
+);
+
+export function treatAsHtml(pathname) {
+  const ext = pathname.split('/').pop().split('.').pop();
+  return ext == null || !KNOWN_EXTENSIONS.has(ext.toLowerCase());
+}
+
+export function isExternalUrl(url) {
+  return /^(?:[a-z]+:|\/\/)/i.test(url);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURI(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Output html file (relative to dist) of a page path such as "guide/intro.md"
+function toOutputFile(pagePath) {
+  return pagePath.replace(/\.md$/, '.html');
+}
+
+// Output html file a URL pathname is served from, following VitePress'
+// link normalisation: "foo.md", "foo" and "foo.html" are the same page and
+// "dir/" or "dir/index.md" serve "dir/index.html"
+function pathnameToOutputFile(pathname) {
+  let p = safeDecode(pathname).replace(/^\/+/, '');
+  p = p.replace(/(^|\/)index\.md$/i, '$1');
+  if (p.endsWith('.md')) {
+    p = p.slice(0, -3) + '.html';
+  }
+  if (p === '' || p.endsWith('/')) {
+    return p + 'index.html';
+  }
+  return p.endsWith('.html') ? p : p + '.html';
+}
+
+// URL a reader sees for an output file, relative to the site base
+function outputFileToUrl(outputFile, cleanUrls) {
+  if (outputFile === 'index.html') return '/';
+  if (outputFile.endsWith('/index.html')) {
+    return '/' + outputFile.slice(0, -'index.html'.length);
+  }
+  return '/' + (cleanUrls ? outputFile.replace(/\.html$/, '') : outputFile);
+}
+
+// Short uppercase name of a locale for reports: "zh-CN" -> "ZH"
+function localeCode(locale, key) {
+  return (locale.lang || key).split('-')[0].toUpperCase();
+}
+
+// Load the VitePress config the same way `vitepress build` does and index
+// every page by the URL it is published under. Pages are also indexed per
+// locale by their locale-relative path ("guide/intro.md"), which pairs the
+// translations of a page. The root locale is the reference the other
+// locales are compared against, unless `reference` names another one.
+export async function loadSite({ reference } = {}) {
+  const config = await resolveConfig(docsDir, 'build', 'production');
+  const { site, rewrites, cleanUrls } = config;
+  const srcDir = config.srcDir;
+
+  const configFiles = [...new Set([config.configPath, ...config.configDeps])].filter(Boolean);
+  const configSources = new Map(
+    configFiles.map(file => [file, fs.readFileSync(file, 'utf-8').split('\n')])
+  );
+
+  const locales = Object.entries(site.locales).map(([key, locale]) => ({
+    key,
+    code: localeCode(locale, key),
+    label: locale.label,
+    lang: locale.lang,
+    link: locale.link || (key === 'root' ? '/' : `/${key}/`),
+    themeConfig: config.userConfig.locales?.[key]?.themeConfig || {},
+    // Locale configs usually live in their own module (config/en.ts ...)
+    configFile: configFiles.find(file =>
+      file !== config.configPath &&
+      configSources.get(file).some(line => line.includes(`'${locale.lang}'`))
+    ) || config.configPath
+  }));
+
+  // Longest locale link first so "/en/" wins over "/"
+  const localesByPrefix = [...locales].sort((a, b) => b.link.length - a.link.length);
+
+  const pages = config.pages.map(source => {
+    const pagePath = rewrites.map[source] || source;
+    const outputFile = toOutputFile(pagePath);
+    const url = outputFileToUrl(outputFile, cleanUrls);
+    const locale = localesByPrefix.find(l => url.startsWith(l.link)) || null;
+    return {
+      file: path.join(srcDir, source),
+      source,
+      outputFile,
+      url,
+      locale: locale ? locale.key : null,
+      localPath: outputFile.slice(locale ? locale.link.length - 1 : 0).replace(/\.html$/, '.md')
+    };
+  });
+
+  // Source directory of each locale (rewrites may publish "zh/" at the root)
+  const byLocale = new Map(locales.map(locale => [locale.key, new Map()]));
+  pages.forEach(page => {
+    if (page.locale) byLocale.get(page.locale).set(page.localPath, page);
+  });
+  locales.forEach(locale => {
+    const sources = [...byLocale.get(locale.key).values()].map(page => page.source);
+    const first = sources.length > 0 ? sources[0].split('/')[0] : '';
+    locale.dir = sources.length > 0 && sources.every(source => source.startsWith(first + '/')) ? first : '';
+  });
+
+  const referenceLocale = locales.find(locale => locale.key === reference) ||
+    locales.find(locale => locale.key === 'root') || locales[0];
+
+  const byOutputFile = new Map(pages.map(page => [page.outputFile, page]));
+  const byFile = new Map(pages.map(page => [page.file, page]));
+
+  return {
+    config,
+    srcDir,
+    publicDir: path.join(srcDir, 'public'),
+    base: site.base,
+    cleanUrls,
+    locales,
+    referenceLocale,
+    pages,
+    configFiles,
+
+    // Pages of one locale, by locale-relative path
+    localePages: key => byLocale.get(key) || new Map(),
+    // The same page in another locale, if it is translated
+    translationOf: (page, key) => (byLocale.get(key) || new Map()).get(page.localPath) || null,
+
+    // Place in the config sources that mentions a quoted value, so problems
+    // found in the loaded config objects can be reported as file:line. When a
+    // value is repeated (e.g. `link: 'index'` in two sidebars) `occurrence`
+    // selects the nth mention, in source order.
+    locateInConfig(value, preferredFile, occurrence = 0) {
+      const quoted = [`'${value}'`, `"${value}"`, `\`${value}\``];
+      const files = preferredFile
+        ? [preferredFile, ...configFiles.filter(file => file !== preferredFile)]
+        : configFiles;
+      for (const file of files) {
+        const lines = configSources.get(file);
+        const matches = lines
+          .map((line, index) => (quoted.some(q => line.includes(q)) ? index + 1 : 0))
+          .filter(Boolean);
+        if (matches.length > 0) {
+          return { file, line: matches[Math.min(occurrence, matches.length - 1)] };
+        }
+      }
+      return { file: config.configPath, line: null };
+    },
+
+    pageForFile: file => byFile.get(file) || null,
+    pageForOutputFile: outputFile => byOutputFile.get(outputFile) || null,
+
+    // Resolve a link the way a reader's browser would on the deployed site.
+    // Markdown links get the base prepended by VitePress; raw HTML links are
+    // emitted verbatim and must carry the base themselves.
+    resolveLink(url, fromFile, { html = false } = {}) {
+      const hashIndex = url.indexOf('#');
+      const fragment = hashIndex === -1 ? '' : url.slice(hashIndex + 1);
+      const target = (hashIndex === -1 ? url : url.slice(0, hashIndex)).replace(/\?.*$/, '');
+      const fromPage = byFile.get(fromFile);
+
+      if (!target) {
+        return { kind: 'page', page: fromPage, file: fromFile, fragment };
+      }
+
+      let pathname;
+      if (target.startsWith('/')) {
+        if (html) {
+          if (!target.startsWith(site.base)) {
+            return { kind: 'error', reason: `HTML link is missing the site base ${site.base}` };
+          }
+          pathname = '/' + target.slice(site.base.length);
+        } else {
+          if (site.base !== '/' && target.startsWith(site.base)) {
+            return { kind: 'error', reason: `Link already contains the site base ${site.base}, VitePress adds it again` };
+          }
+          pathname = target;
+        }
+      } else if (!treatAsHtml(target)) {
+        // Relative assets are bundled by Vite relative to the source file
+        const assetPath = path.resolve(path.dirname(fromFile), safeDecode(target));
+        return { kind: 'asset', file: assetPath, exists: fs.existsSync(assetPath) };
+      } else {
+        if (!fromPage) {
+          return { kind: 'error', reason: 'Source file is not a page of the site' };
+        }
+        // Relative page links are resolved by the browser against the page URL
+        pathname = new URL(target, `http://site${fromPage.url}`).pathname;
+      }
+
+      if (!treatAsHtml(pathname)) {
+        const assetPath = path.join(srcDir, 'public', safeDecode(pathname));
+        return { kind: 'asset', file: assetPath, exists: fs.existsSync(assetPath) };
+      }
+
+      const outputFile = pathnameToOutputFile(pathname);
+      const page = byOutputFile.get(outputFile);
+      if (!page) {
+        return { kind: 'missing', outputFile, url: outputFileToUrl(outputFile, cleanUrls), fragment };
+      }
+      return { kind: 'page', page, file: page.file, fragment };
+    }
+  };
+}
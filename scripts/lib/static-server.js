@@ -0,0 +1,92 @@
+// Minimal static file server for a built site, resolving URLs the way GitHub
+// Pages does: the site lives under its base, "dir/" serves dir/index.html,
+// "dir" redirects to "dir/", "page" serves page.html when there is no such
+// file (what cleanUrls relies on), and anything else is 404.html with a 404.
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+function isFile(file) {
+  return fs.existsSync(file) && fs.statSync(file).isFile();
+}
+
+// What a request for `pathname` (decoded, relative to the base) gets:
+// { file } or { redirect } or null for a 404
+export function resolveRequest(rootDir, pathname) {
+  const file = path.join(rootDir, pathname);
+  if (file !== rootDir && !file.startsWith(rootDir + path.sep)) return null;
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    if (!pathname.endsWith('/') && pathname !== '') return { redirect: pathname + '/' };
+    return isFile(path.join(file, 'index.html')) ? { file: path.join(file, 'index.html') } : null;
+  }
+  if (isFile(file)) return { file };
+  if (isFile(file + '.html')) return { file: file + '.html' };
+  return null;
+}
+
+function send(response, status, file) {
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  response.writeHead(status, { 'Content-Type': type });
+  fs.createReadStream(file).pipe(response);
+}
+
+// Serve rootDir under base on a free local port. Resolves to
+// { origin, close() } once the server listens.
+export function startStaticServer(rootDir, base) {
+  const notFound = path.join(rootDir, '404.html');
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (e) {
+      decoded = null;
+    }
+
+    const resolved = decoded !== null && decoded.startsWith(base)
+      ? resolveRequest(rootDir, decoded.slice(base.length))
+      : null;
+    if (resolved && resolved.redirect) {
+      response.writeHead(301, { Location: base + resolved.redirect });
+      response.end();
+    } else if (resolved) {
+      send(response, 200, resolved.file);
+    } else if (isFile(notFound)) {
+      send(response, 404, notFound);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        origin: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
@@ -0,0 +1,53 @@
+// Helpers that read nav and sidebar entries out of a default-theme config
+// the same way the VitePress default theme does at runtime.
+
+// Flatten nav items, including dropdown groups
+export function collectNavLinks(items, links = []) {
+  (items || []).forEach(item => {
+    if (typeof item.link === 'string') {
+      links.push({ text: item.text, link: item.link, resolved: item.link });
+    }
+    if (item.items) collectNavLinks(item.items, links);
+  });
+  return links;
+}
+
+// Flatten sidebar items, prefixing links with the group base like the
+// default theme does (item.base || parent base) + item.link
+export function collectSidebarLinks(items, base, key, links = []) {
+  (items || []).forEach(item => {
+    const itemBase = item.base || base;
+    if (typeof item.link === 'string') {
+      links.push({
+        text: item.text,
+        link: item.link,
+        resolved: itemBase ? itemBase + item.link : item.link,
+        key
+      });
+    }
+    if (item.items) collectSidebarLinks(item.items, itemBase, key, links);
+  });
+  return links;
+}
+
+// Sidebar config can be an array or a map of path prefix -> items / { base, items }
+export function getSidebars(sidebar) {
+  if (!sidebar) return [];
+  if (Array.isArray(sidebar)) return [{ key: null, base: undefined, items: sidebar }];
+  return Object.entries(sidebar).map(([key, value]) =>
+    Array.isArray(value)
+      ? { key, base: undefined, items: value }
+      : { key, base: value.base, items: value.items }
+  );
+}
+
+// The sidebar shown on a page: the key with the most path segments that
+// prefixes the page path wins (see getSidebar in the default theme)
+export function getSidebarForPath(sidebar, pagePath) {
+  const sidebars = getSidebars(sidebar);
+  if (sidebars.length === 1 && sidebars[0].key === null) return sidebars[0];
+  const withSlash = value => (value.startsWith('/') ? value : '/' + value);
+  return sidebars
+    .filter(({ key }) => withSlash(pagePath).startsWith(withSlash(key)))
+    .sort((a, b) => b.key.split('/').length - a.key.split('/').length)[0] || null;
+}
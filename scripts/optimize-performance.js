@@ -1,17 +1,36 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseMarkdown } from './lib/markdown.js';
+import { loadSite } from './lib/site.js';
+import { expectedBuild } from './lib/build.js';
+import { createPageWeigher } from './lib/page-weight.js';
+import { escapeRegExp } from './lib/regex.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const rootDir = path.join(__dirname, '..');
 const docsDir = path.join(__dirname, '../docs');
 const publicDir = path.join(docsDir, 'public');
+const budgetsPath = path.join(__dirname, 'config/performance-budgets.json');
+
+// Command line options: --update-baseline records the current build as the
+// baseline instead of comparing against it
+const args = process.argv.slice(2);
+const updateBaseline = args.includes('--update-baseline');
 
 console.log('🚀 Performance Optimization Check\n');
 
+const site = await loadSite();
+const build = expectedBuild(site);
+const distDir = build.outDir;
+const budgets = JSON.parse(fs.readFileSync(budgetsPath, 'utf-8'));
+
 const issues = [];
 const recommendations = [];
+// Budget violations and regressions against the baseline fail the check
+let budgetFailures = 0;
 
 // Check 1: Look for large images in public directory
 function checkImageSizes() {
@@ -123,15 +142,12 @@ function checkCodeBlocks() {
         scanDir(filePath);
       } else if (file.endsWith('.md')) {
         const content = fs.readFileSync(filePath, 'utf-8');
-        const codeBlockRegex = /```(\w+)?/g;
-        let match;
-        
-        while ((match = codeBlockRegex.exec(content)) !== null) {
+        parseMarkdown(content).codeBlocks.forEach(block => {
           totalCodeBlocks++;
-          if (match[1]) {
-            languages.add(match[1]);
+          if (block.lang) {
+            languages.add(block.lang);
           }
-        }
+        });
       }
     });
   }
@@ -181,8 +197,6 @@ function checkVitePressConfig() {
 function estimateBuildSize() {
   console.log('📦 Estimating build output size...');
   
-  const distDir = path.join(docsDir, '.vitepress/dist');
-  
   if (!fs.existsSync(distDir)) {
     console.log('   ℹ️  No build output found (run "pnpm run build" first)\n');
     recommendations.push({
@@ -225,6 +239,135 @@ function estimateBuildSize() {
   }
 }
 
+const METRICS = [
+  { key: 'js', name: 'Initial JS' },
+  { key: 'css', name: 'CSS' },
+  { key: 'transfer', name: 'Total transfer' },
+  { key: 'requests', name: 'Requests' }
+];
+
+function formatMetric(key, value) {
+  return key === 'requests' ? String(value) : `${(value / 1024).toFixed(1)} KB`;
+}
+
+// "/**/guide/**" -> /^\/(?:.*\/)?guide\/.*$/
+function routePattern(pattern) {
+  const source = pattern
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return escapeRegExp(part);
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+const routes = budgets.routes.map(route => ({
+  ...route,
+  patterns: [].concat(route.match).map(routePattern)
+}));
+
+// Limits of a page, in bytes and requests: the default, overridden by the
+// first route that matches
+function budgetFor(url) {
+  const route = routes.find(candidate => candidate.patterns.some(pattern => pattern.test(url)));
+  const limits = { ...budgets.default, ...(route || {}) };
+  return {
+    route: route ? [].concat(route.match).join(', ') : 'default',
+    limits: Object.fromEntries(METRICS.map(({ key }) => [key, key === 'requests' ? limits[key] : limits[key] * 1024]))
+  };
+}
+
+function isRegression(key, before, after) {
+  const { tolerance } = budgets;
+  if (key === 'requests') return after > before + tolerance.requests;
+  return after > before + Math.max(tolerance.bytes, before * tolerance.percent / 100);
+}
+
+// Check 6: Per-page budgets, measured from what each built page loads, and
+// regressions against the committed baseline
+function checkBudgets() {
+  console.log('🎯 Checking performance budgets...');
+
+  if (!fs.existsSync(distDir)) {
+    console.log('   ℹ️  No build output found (run "pnpm run build" first)\n');
+    return;
+  }
+
+  const weigh = createPageWeigher(build);
+  const measured = {};
+  const byRoute = new Map();
+  build.pages
+    .filter(entry => fs.existsSync(path.join(distDir, entry.outputFile)))
+    .forEach(entry => {
+      const weight = weigh(entry.outputFile);
+      measured[entry.url] = weight;
+
+      const { route, limits } = budgetFor(entry.url);
+      if (!byRoute.has(route)) byRoute.set(route, { pages: 0, limits, max: {} });
+      const summary = byRoute.get(route);
+      summary.pages++;
+      METRICS.forEach(({ key }) => (summary.max[key] = Math.max(summary.max[key] || 0, weight[key])));
+      const over = METRICS.filter(({ key }) => weight[key] > limits[key]);
+      if (over.length > 0) {
+        budgetFailures++;
+        issues.push({
+          type: 'over-budget',
+          file: entry.url,
+          size: over.map(({ key, name }) => `${name} ${formatMetric(key, weight[key])} > ${formatMetric(key, limits[key])}`).join(', '),
+          message: `Over the budget of route ${route}`
+        });
+      }
+    });
+
+  byRoute.forEach((summary, route) => {
+    const values = METRICS.map(({ key, name }) => `${name} ${formatMetric(key, summary.max[key])} / ${formatMetric(key, summary.limits[key])}`);
+    console.log(`   ${route} (${summary.pages} pages, largest / budget):`);
+    console.log(`      ${values.join(', ')}`);
+  });
+
+  const baselinePath = path.join(rootDir, budgets.baselineFile);
+  if (updateBaseline) {
+    const baseline = {
+      $comment: 'Generated by `node scripts/optimize-performance.js --update-baseline`; commit it with the change that moves the numbers.',
+      pages: measured
+    };
+    fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+    console.log(`   💾 Baseline updated: ${budgets.baselineFile} (${Object.keys(measured).length} pages)\n`);
+    return;
+  }
+  if (!fs.existsSync(baselinePath)) {
+    console.log(`   ℹ️  No baseline at ${budgets.baselineFile} (run with --update-baseline to create it)\n`);
+    return;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8')).pages;
+  const newPages = Object.keys(measured).filter(url => !baseline[url]);
+  Object.entries(measured)
+    .filter(([url]) => baseline[url])
+    .forEach(([url, weight]) => {
+      const grown = METRICS.filter(({ key }) => isRegression(key, baseline[url][key], weight[key]));
+      if (grown.length === 0) return;
+      budgetFailures++;
+      issues.push({
+        type: 'regression',
+        file: url,
+        size: grown.map(({ key, name }) => `${name} ${formatMetric(key, baseline[url][key])} → ${formatMetric(key, weight[key])}`).join(', '),
+        message: 'Grew past the baseline'
+      });
+    });
+
+  const regressions = issues.filter(issue => issue.type === 'regression').length;
+  console.log(`   Compared ${Object.keys(measured).length - newPages.length} pages with the baseline${newPages.length > 0 ? ` (${newPages.length} new, not in the baseline)` : ''}`);
+  if (budgetFailures === 0) {
+    console.log('   ✅ All pages are within budget and the baseline\n');
+  } else {
+    console.log(`   ❌ ${budgetFailures - regressions} pages over budget, ${regressions} pages grown past the baseline\n`);
+  }
+}
+
 // Performance recommendations
 function provideRecommendations() {
   console.log('💡 Performance Recommendations:\n');
@@ -250,6 +393,7 @@ checkMarkdownSizes();
 checkCodeBlocks();
 checkVitePressConfig();
 estimateBuildSize();
+checkBudgets();
 
 // Report issues
 if (issues.length > 0) {
@@ -275,4 +419,9 @@ if (recommendations.length > 0) {
 
 provideRecommendations();
 
+if (budgetFailures > 0) {
+  console.log(`❌ ${budgetFailures} budget violations or regressions. Reduce what the pages load, or raise the budget in scripts/config/performance-budgets.json / record the new baseline with --update-baseline when the growth is intended.\n`);
+  process.exit(1);
+}
+
 console.log('✨ Performance check complete!\n');
@@ -0,0 +1,237 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import { loadSite } from './lib/site.js';
+import { parseMarkdown } from './lib/markdown.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const harness = path.join(__dirname, 'lib/example-harness.cjs');
+
+// Command line options: --page <name> runs only the examples/<name>.md pages
+const args = process.argv.slice(2);
+const pageArg = args.includes('--page') ? args[args.indexOf('--page') + 1] : undefined;
+
+const errors = [];
+const warnings = [];
+const stats = { pages: 0, passed: 0, failed: 0, files: 0 };
+
+// How long the app gets after ready, and after app.quit(), for what it
+// started to finish; and how long a whole run may take
+const SETTLE_MS = 300;
+const TIMEOUT_MS = 30000;
+
+// A block is a file of the example when its fence names it, the way VitePress
+// titles code blocks: ```typescript [src/main/index.ts]
+const fileAnnotation = /\[([^\]]+)\]/;
+
+const SCRIPT_EXTENSIONS = new Set(['.ts', '.tsx', '.js']);
+
+// Which process a file runs in, from the directory it is in
+function processOf(file) {
+  return file.split('/').find(part => ['main', 'preload', 'renderer'].includes(part)) || 'shared';
+}
+
+function collectExamples(site) {
+  const examples = [];
+  site.locales.forEach(locale => {
+    site.localePages(locale.key).forEach((page, localPath) => {
+      const match = localPath.match(/^examples\/(.+)\.md$/);
+      if (!match || match[1] === 'index' || (pageArg && match[1] !== pageArg)) return;
+      const { codeBlocks } = parseMarkdown(fs.readFileSync(page.file, 'utf-8'));
+      const files = codeBlocks
+        .filter(block => fileAnnotation.test(block.info))
+        .map(block => ({ path: block.info.match(fileAnnotation)[1], block }));
+      examples.push({ page, files });
+    });
+  });
+  return examples;
+}
+
+// Relative imports of a script, as project paths
+function importsOf(file) {
+  return ts.preProcessFile(file.block.code, true, true).importedFiles
+    .map(({ fileName }) => fileName)
+    .filter(specifier => specifier.startsWith('.'))
+    .map(specifier => path.posix.join(path.posix.dirname(file.path), specifier));
+}
+
+// Write the files of an example into a scratch project. TypeScript is
+// transpiled to CommonJS next to where the source would be, with a source map
+// pointing at the source so stack traces name the block's lines.
+function writeProject(example, projectDir) {
+  example.files.forEach(file => {
+    const target = path.join(projectDir, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const extension = path.extname(file.path);
+    if (!SCRIPT_EXTENSIONS.has(extension)) {
+      fs.writeFileSync(target, file.block.code);
+      return;
+    }
+    const { outputText } = ts.transpileModule(file.block.code, {
+      fileName: target,
+      compilerOptions: {
+        module: ts.ModuleKind.CommonJS,
+        target: ts.ScriptTarget.ES2022,
+        esModuleInterop: true,
+        inlineSourceMap: true,
+        inlineSources: true
+      }
+    });
+    fs.writeFileSync(target.slice(0, -extension.length) + '.js', outputText);
+  });
+  stats.files += example.files.length;
+}
+
+// Main process files nothing else in the example imports: what `electron .`
+// would start
+function mainEntries(example) {
+  const scripts = example.files.filter(file => SCRIPT_EXTENSIONS.has(path.extname(file.path)));
+  const imported = new Set(scripts.flatMap(importsOf));
+  return scripts
+    .filter(file => processOf(file.path) === 'main')
+    .filter(file => !imported.has(file.path.replace(/\.[^.]+$/, '')))
+    .map(file => file.path.replace(/\.[^.]+$/, '.js'));
+}
+
+function runProject(projectDir, entries) {
+  const config = path.join(projectDir, 'project.json');
+  fs.writeFileSync(config, JSON.stringify({ projectDir, rootDir, entries, settleMs: SETTLE_MS }));
+
+  return new Promise(resolve => {
+    let result = null;
+    let output = '';
+    const child = fork(harness, [config], {
+      cwd: projectDir,
+      execArgv: ['--enable-source-maps'],
+      env: { ...process.env, NODE_ENV: 'production' },
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+    });
+    child.stdout.on('data', chunk => (output += chunk));
+    child.stderr.on('data', chunk => (output += chunk));
+    child.on('message', message => (result = message));
+    const timer = setTimeout(() => child.kill('SIGKILL'), TIMEOUT_MS);
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (result) {
+        resolve(result);
+        return;
+      }
+      const reason = signal ? `killed after ${TIMEOUT_MS / 1000}s` : `exited with code ${code}`;
+      resolve({
+        errors: [{ type: 'harness', message: `The example ${reason} before reporting`, stack: output }],
+        warnings: [],
+        loaded: []
+      });
+    });
+  });
+}
+
+// Markdown line of the first stack frame in one of the example's files
+function locate(stack, example, projectDir) {
+  for (const [, file, line] of (stack || '').matchAll(/\(?([^\s()]+):(\d+):\d+\)?$/gm)) {
+    const relativePath = path.relative(projectDir, file.replace(/^file:\/\//, '')).split(path.sep).join('/');
+    const match = example.files.find(candidate => candidate.path === relativePath);
+    if (match) return { at: match.path, line: match.block.line + Number(line) };
+  }
+  return null;
+}
+
+function report(list, entries, example, projectDir) {
+  entries.forEach(entry => {
+    const location = locate(entry.stack, example, projectDir);
+    list.push({
+      type: entry.type,
+      file: example.page.source,
+      line: location ? location.line : undefined,
+      message: location ? `[${location.at}] ${entry.message}` : entry.message
+    });
+  });
+}
+
+// Pages and preload or renderer scripts no window loaded did not run
+function reportUnloaded(example, loaded) {
+  example.files
+    .filter(file => processOf(file.path) !== 'main' && processOf(file.path) !== 'shared')
+    .filter(file => !loaded.includes(file.path.replace(/\.tsx?$/, '.js')))
+    .forEach(file => warnings.push({
+      type: 'not-loaded',
+      file: example.page.source,
+      line: file.block.line,
+      message: `[${file.path}] No window loaded this file, it did not run`
+    }));
+}
+
+// Main test function
+async function testExamples() {
+  console.log('🧪 Running the example pages...\n');
+
+  const site = await loadSite();
+  const examples = collectExamples(site);
+  const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-examples-'));
+
+  try {
+    for (const example of examples) {
+      if (example.files.length === 0) {
+        warnings.push({ type: 'no-files', file: example.page.source, message: 'No code block names its file, nothing to run' });
+        continue;
+      }
+      stats.pages++;
+      const projectDir = path.join(scratchDir, example.page.source.replace(/[\\/]/g, '_').replace(/\.md$/, ''));
+      writeProject(example, projectDir);
+
+      const entries = mainEntries(example);
+      const errorCount = errors.length;
+      if (entries.length === 0) {
+        errors.push({ type: 'no-main', file: example.page.source, message: 'No main process file (src/main/...) to start' });
+      } else {
+        const result = await runProject(projectDir, entries);
+        report(errors, result.errors, example, projectDir);
+        report(warnings, result.warnings, example, projectDir);
+        // After an error it is no news that some files did not run
+        if (errors.length === errorCount) reportUnloaded(example, result.loaded);
+      }
+
+      const passed = errors.length === errorCount;
+      stats[passed ? 'passed' : 'failed']++;
+      console.log(`   ${passed ? '✓' : '✗'} ${example.page.source} (${example.files.length} files)`);
+    }
+  } finally {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Statistics:`);
+  console.log(`   Examples run: ${stats.pages} (${stats.passed} passed, ${stats.failed} failed)`);
+  console.log(`   Files assembled: ${stats.files}\n`);
+
+  // Report errors
+  if (errors.length > 0) {
+    console.log(`❌ Found ${errors.length} errors:\n`);
+    errors.forEach(error => {
+      console.log(`   ${error.file}${error.line ? ':' + error.line : ''}`);
+      console.log(`   → ${error.message}\n`);
+    });
+  } else {
+    console.log('✅ All examples run!\n');
+  }
+
+  // Report warnings
+  if (warnings.length > 0) {
+    console.log(`⚠️  Found ${warnings.length} warnings:\n`);
+    warnings.forEach(warning => {
+      console.log(`   ${warning.file}${warning.line ? ':' + warning.line : ''}`);
+      console.log(`   → ${warning.message}\n`);
+    });
+  }
+
+  return errors.length === 0;
+}
+
+// Run the tests
+const success = await testExamples();
+process.exit(success ? 0 : 1);
@@ -1,6 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseFrontmatter, loadFrontmatterSchema, schemaForLayout, validateFrontmatter } from './lib/frontmatter.js';
+import { loadSite } from './lib/site.js';
+import { collectNavLinks, getSidebars } from './lib/theme-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,6 +13,10 @@ const configPath = path.join(docsDir, '.vitepress/config.ts');
 
 console.log('🧪 Testing VitePress Documentation Functionality\n');
 
+// Locales come from the VitePress config, so a new language is tested without code changes
+const site = await loadSite();
+const localeCodes = site.locales.map(locale => locale.code.toLowerCase()).join('/');
+
 const tests = [];
 const passed = [];
 const failed = [];
@@ -35,22 +42,20 @@ function testConfigExists() {
 
 // Test 2: Check language configuration
 function testLanguageConfig() {
-  const testName = 'Language configuration (zh/en)';
+  const testName = `Language configuration (${localeCodes})`;
   try {
-    const zhConfigPath = path.join(docsDir, '.vitepress/config/zh.ts');
-    const enConfigPath = path.join(docsDir, '.vitepress/config/en.ts');
+    const incomplete = site.locales.filter(locale =>
+      !locale.themeConfig.nav || !locale.themeConfig.sidebar
+    );
     
-    if (fs.existsSync(zhConfigPath) && fs.existsSync(enConfigPath)) {
-      const zhContent = fs.readFileSync(zhConfigPath, 'utf-8');
-      const enContent = fs.readFileSync(enConfigPath, 'utf-8');
-      
-      if (zhContent.includes('nav') && zhContent.includes('sidebar') &&
-          enContent.includes('nav') && enContent.includes('sidebar')) {
-        passed.push(testName);
-        return true;
-      }
+    if (incomplete.length === 0) {
+      passed.push(testName);
+      return true;
     }
-    failed.push({ name: testName, reason: 'Language config files missing or incomplete' });
+    failed.push({
+      name: testName,
+      reason: `No nav or sidebar for: ${incomplete.map(locale => locale.label).join(', ')}`
+    });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -62,23 +67,20 @@ function testLanguageConfig() {
 function testNavigationStructure() {
   const testName = 'Navigation structure';
   try {
-    const zhConfig = fs.readFileSync(path.join(docsDir, '.vitepress/config/zh.ts'), 'utf-8');
-    const enConfig = fs.readFileSync(path.join(docsDir, '.vitepress/config/en.ts'), 'utf-8');
-    
     // Check for key navigation items
     const requiredNavItems = ['guide', 'api', 'examples'];
-    const zhHasNav = requiredNavItems.every(item => 
-      zhConfig.toLowerCase().includes(item)
-    );
-    const enHasNav = requiredNavItems.every(item => 
-      enConfig.toLowerCase().includes(item)
-    );
+    const missing = site.locales.flatMap(locale => {
+      const links = collectNavLinks(locale.themeConfig.nav).map(entry => entry.resolved);
+      return requiredNavItems
+        .filter(item => !links.some(link => link.startsWith(`${locale.link}${item}`)))
+        .map(item => `${locale.label}: ${item}`);
+    });
     
-    if (zhHasNav && enHasNav) {
+    if (missing.length === 0) {
       passed.push(testName);
       return true;
     }
-    failed.push({ name: testName, reason: 'Missing required navigation items' });
+    failed.push({ name: testName, reason: `Missing required navigation items (${missing.join(', ')})` });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -90,23 +92,20 @@ function testNavigationStructure() {
 function testSidebarConfig() {
   const testName = 'Sidebar configuration';
   try {
-    const zhConfig = fs.readFileSync(path.join(docsDir, '.vitepress/config/zh.ts'), 'utf-8');
-    const enConfig = fs.readFileSync(path.join(docsDir, '.vitepress/config/en.ts'), 'utf-8');
-    
     // Check for sidebar sections
-    const requiredSections = ['/guide/', '/api/', '/examples/'];
-    const zhHasSidebar = requiredSections.every(section => 
-      zhConfig.includes(section)
-    );
-    const enHasSidebar = requiredSections.every(section => 
-      enConfig.includes(section)
-    );
+    const requiredSections = ['guide/', 'api/', 'examples/'];
+    const missing = site.locales.flatMap(locale => {
+      const keys = getSidebars(locale.themeConfig.sidebar).map(sidebar => sidebar.key);
+      return requiredSections
+        .map(section => `${locale.link}${section}`)
+        .filter(section => !keys.includes(section));
+    });
     
-    if (zhHasSidebar && enHasSidebar) {
+    if (missing.length === 0) {
       passed.push(testName);
       return true;
     }
-    failed.push({ name: testName, reason: 'Missing required sidebar sections' });
+    failed.push({ name: testName, reason: `Missing required sidebar sections (${missing.join(', ')})` });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -114,6 +113,16 @@ function testSidebarConfig() {
   }
 }
 
+// Pages (locale-relative paths) that some locale does not have
+function findMissingPages(requiredPages) {
+  return site.locales.flatMap(locale => {
+    const pages = site.localePages(locale.key);
+    return requiredPages
+      .filter(page => !pages.has(page))
+      .map(page => (locale.dir ? `${locale.dir}/${page}` : page));
+  });
+}
+
 // Test 5: Check search configuration
 function testSearchConfig() {
   const testName = 'Search configuration';
@@ -132,25 +141,33 @@ function testSearchConfig() {
   }
 }
 
-// Test 6: Check home pages exist
+// Test 6: Check home pages exist and their frontmatter is valid
 function testHomePages() {
-  const testName = 'Home pages (zh/en)';
+  const testName = `Home pages (${localeCodes})`;
   try {
-    const zhHome = path.join(docsDir, 'zh/index.md');
-    const enHome = path.join(docsDir, 'en/index.md');
+    const missing = findMissingPages(['index.md']);
     
-    if (fs.existsSync(zhHome) && fs.existsSync(enHome)) {
-      const zhContent = fs.readFileSync(zhHome, 'utf-8');
-      const enContent = fs.readFileSync(enHome, 'utf-8');
+    if (missing.length === 0) {
+      const schema = loadFrontmatterSchema();
+      const problems = site.locales.flatMap(locale => {
+        const page = site.localePages(locale.key).get('index.md');
+        const { data, error } = parseFrontmatter(fs.readFileSync(page.file, 'utf-8'));
+        const name = page.source;
+        if (error) return [`${name}: ${error.message}`];
+        if (data.layout !== 'home') return [`${name}: layout is not home`];
+        if (!Array.isArray(data.features) || data.features.length === 0) return [`${name}: no features`];
+        return validateFrontmatter(data, schemaForLayout(schema, 'home'), schema)
+          .map(problem => `${name}: ${problem.path} ${problem.message}`);
+      });
       
-      // Check for hero and features sections
-      if (zhContent.includes('hero:') && zhContent.includes('features:') &&
-          enContent.includes('hero:') && enContent.includes('features:')) {
+      if (problems.length === 0) {
         passed.push(testName);
         return true;
       }
+      failed.push({ name: testName, reason: problems.join('; ') });
+      return false;
     }
-    failed.push({ name: testName, reason: 'Home pages missing or incomplete' });
+    failed.push({ name: testName, reason: `Home pages missing: ${missing.join(', ')}` });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -162,22 +179,16 @@ function testHomePages() {
 function testGuidePages() {
   const testName = 'Guide pages structure';
   try {
-    const requiredGuides = [
-      'zh/guide/introduction.md',
-      'zh/guide/getting-started.md',
-      'en/guide/introduction.md',
-      'en/guide/getting-started.md'
-    ];
+    const missing = findMissingPages([
+      'guide/introduction.md',
+      'guide/getting-started.md'
+    ]);
     
-    const allExist = requiredGuides.every(guide => 
-      fs.existsSync(path.join(docsDir, guide))
-    );
-    
-    if (allExist) {
+    if (missing.length === 0) {
       passed.push(testName);
       return true;
     }
-    failed.push({ name: testName, reason: 'Some guide pages are missing' });
+    failed.push({ name: testName, reason: `Some guide pages are missing: ${missing.join(', ')}` });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -189,26 +200,18 @@ function testGuidePages() {
 function testAPIPages() {
   const testName = 'API reference pages';
   try {
-    const requiredAPIs = [
-      'zh/api/index.md',
-      'zh/api/window-manager.md',
-      'zh/api/ipc-router.md',
-      'zh/api/message-bus.md',
-      'en/api/index.md',
-      'en/api/window-manager.md',
-      'en/api/ipc-router.md',
-      'en/api/message-bus.md'
-    ];
-    
-    const allExist = requiredAPIs.every(api => 
-      fs.existsSync(path.join(docsDir, api))
-    );
+    const missing = findMissingPages([
+      'api/index.md',
+      'api/window-manager.md',
+      'api/ipc-router.md',
+      'api/message-bus.md'
+    ]);
     
-    if (allExist) {
+    if (missing.length === 0) {
       passed.push(testName);
       return true;
     }
-    failed.push({ name: testName, reason: 'Some API pages are missing' });
+    failed.push({ name: testName, reason: `Some API pages are missing: ${missing.join(', ')}` });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -220,22 +223,16 @@ function testAPIPages() {
 function testExamplePages() {
   const testName = 'Example pages';
   try {
-    const requiredExamples = [
-      'zh/examples/index.md',
-      'zh/examples/basic-setup.md',
-      'en/examples/index.md',
-      'en/examples/basic-setup.md'
-    ];
-    
-    const allExist = requiredExamples.every(example => 
-      fs.existsSync(path.join(docsDir, example))
-    );
+    const missing = findMissingPages([
+      'examples/index.md',
+      'examples/basic-setup.md'
+    ]);
     
-    if (allExist) {
+    if (missing.length === 0) {
       passed.push(testName);
       return true;
     }
-    failed.push({ name: testName, reason: 'Some example pages are missing' });
+    failed.push({ name: testName, reason: `Some example pages are missing: ${missing.join(', ')}` });
     return false;
   } catch (e) {
     failed.push({ name: testName, reason: e.message });
@@ -292,7 +289,7 @@ console.log(`\n📈 Total: ${passed.length}/${passed.length + failed.length} tes
 console.log('📝 Manual Testing Checklist:\n');
 console.log('Please verify the following manually in the browser (http://localhost:5173):');
 console.log('  [ ] Search functionality works (try searching for "window")');
-console.log('  [ ] Language switching works (toggle between 中文/English)');
+console.log(`  [ ] Language switching works (toggle between ${site.locales.map(locale => locale.label).join('/')})`);
 console.log('  [ ] Navigation links work correctly');
 console.log('  [ ] Sidebar navigation works');
 console.log('  [ ] Code blocks are properly highlighted');
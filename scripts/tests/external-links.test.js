@@ -0,0 +1,160 @@
+// External link checking against a local stub server, offline
+import assert from 'assert/strict';
+import http from 'http';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { after, before, describe, test } from 'node:test';
+import { checkExternalUrls, fetchRequest } from '../lib/external-links.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '../..');
+
+// Requests the stub received, by path (or proxied URL)
+const hits = new Map();
+let origin;
+let server;
+
+function count(key) {
+  hits.set(key, (hits.get(key) || 0) + 1);
+  return hits.get(key);
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const { pathname, searchParams } = new URL(request.url, 'http://stub');
+    const send = (status, headers = {}) => {
+      response.writeHead(status, headers);
+      response.end();
+    };
+
+    if (pathname === '/proxy') {
+      count(searchParams.get('url'));
+      return send(404);
+    }
+    const hit = count(pathname);
+    switch (pathname) {
+      case '/ok': return send(200);
+      case '/gone': return send(404);
+      case '/loop': return send(302, { location: '/loop' });
+      case '/moved': return send(301, { location: '/ok' });
+      case '/bad-redirect': return send(301, { location: 'http://[broken' });
+      case '/no-head': return send(request.method === 'HEAD' ? 405 : 200);
+      // Broken for the first two requests, whatever their method
+      case '/flaky': return send(hit <= 2 ? 503 : 200);
+      case '/busy': return send(hit === 1 ? 429 : 200, { 'retry-after': '0' });
+      case '/slow-down': return send(429, { 'retry-after': '3600' });
+      default: return send(500);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function check(paths, options = {}) {
+  return checkExternalUrls(paths.map(p => origin + p), {
+    retries: 2,
+    retryDelay: 1,
+    hostInterval: 0,
+    timeout: 2000,
+    ...options
+  });
+}
+
+describe('checkExternalUrls', () => {
+  test('reports a live URL and the redirects leading to it', async () => {
+    const result = (await check(['/moved'])).get(`${origin}/moved`);
+    assert.equal(result.ok, true);
+    assert.equal(result.finalUrl, `${origin}/ok`);
+    assert.deepEqual(result.redirects.map(r => r.status), [301]);
+  });
+
+  test('falls back to GET when HEAD is not supported', async () => {
+    const result = (await check(['/no-head'])).get(`${origin}/no-head`);
+    assert.equal(result.ok, true);
+    assert.equal(hits.get('/no-head'), 2);
+  });
+
+  test('does not retry a definite 404', async () => {
+    const result = (await check(['/gone'])).get(`${origin}/gone`);
+    assert.equal(result.status, 404);
+    // HEAD, then GET to be sure, and no retry
+    assert.equal(hits.get('/gone'), 2);
+  });
+
+  test('does not retry a redirect loop', async () => {
+    const result = (await check(['/loop'], { maxRedirects: 5 })).get(`${origin}/loop`);
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'more than 5 redirects');
+    assert.equal(result.redirects.length, 6);
+    // One request per hop of a single pass through the chain
+    assert.equal(hits.get('/loop'), 6);
+  });
+
+  test('reports a malformed redirect location as a broken link', async () => {
+    const result = (await check(['/bad-redirect'])).get(`${origin}/bad-redirect`);
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'invalid redirect to http://[broken');
+    assert.equal(hits.get('/bad-redirect'), 1);
+  });
+
+  test('retries 5xx and 429 until the server answers', async () => {
+    const results = await check(['/flaky', '/busy']);
+    assert.equal(results.get(`${origin}/flaky`).ok, true);
+    // HEAD 503, GET 503, then HEAD 200 on the retry
+    assert.equal(hits.get('/flaky'), 3);
+    assert.equal(results.get(`${origin}/busy`).ok, true);
+    assert.equal(hits.get('/busy'), 2);
+  });
+
+  test('does not wait for a Retry-After longer than maxRetryAfter', async () => {
+    const result = (await check(['/slow-down'], { maxRetryAfter: 1000 })).get(`${origin}/slow-down`);
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 429);
+    assert.equal(hits.get('/slow-down'), 1);
+  });
+
+  test('retries network errors', async () => {
+    let requests = 0;
+    const request = (url, options) => {
+      requests++;
+      return fetchRequest(url, options);
+    };
+    // Nothing listens on port 9 of this host
+    const [result] = (await checkExternalUrls(['http://127.0.0.1:9/'], {
+      request, retries: 2, retryDelay: 1, hostInterval: 0, timeout: 2000
+    })).values();
+    assert.equal(result.ok, false);
+    assert.ok(result.error);
+    assert.equal(result.networkError, undefined);
+    // HEAD and GET on each of the three attempts
+    assert.equal(requests, 6);
+  });
+
+  test('skips allowlisted URLs without requesting them', async () => {
+    const result = (await check(['/ok?allowlisted'], { allowlist: ['127.0.0.1'] })).get(`${origin}/ok?allowlisted`);
+    assert.equal(result.skipped, true);
+  });
+});
+
+describe('check-links.js --external --request', () => {
+  test('sends every external link through the injected HTTP layer', async () => {
+    const { code, stdout } = await new Promise(resolve => {
+      execFile(process.execPath, [
+        'scripts/check-links.js', '--external', '--no-cache',
+        '--request', 'scripts/tests/fixtures/stub-request.js'
+      ], { cwd: rootDir, env: { ...process.env, STUB_ORIGIN: origin }, timeout: 120000 }, (error, out) => {
+        resolve({ code: error ? error.code : 0, stdout: out });
+      });
+    });
+
+    const proxied = [...hits.keys()].filter(key => /^https?:/.test(key));
+    assert.ok(proxied.length > 0, 'no external URL reached the stub');
+    assert.match(stdout, new RegExp(`Requested: ${proxied.length},`));
+    // The stub answers 404 to all of them: every one is a dead link
+    proxied.forEach(url => assert.ok(stdout.includes(`External link returned HTTP 404: ${url}`), url));
+    assert.equal(code, 1);
+  });
+});
@@ -0,0 +1,8 @@
+// HTTP layer for `check-links.js --external --request <this file>`: every
+// URL is asked of the stub server at STUB_ORIGIN instead of the internet,
+// the original URL passed in the query string
+import { fetchRequest } from '../../lib/external-links.js';
+
+export default function stubRequest(url, options) {
+  return fetchRequest(`${process.env.STUB_ORIGIN}/proxy?url=${encodeURIComponent(url)}`, options);
+}
@@ -0,0 +1,79 @@
+// Link suggestions and --fix rewrites on a scratch copy of a page
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import { loadSite } from '../lib/site.js';
+import { extractLinks } from '../lib/links.js';
+import { suggestPages } from '../lib/link-suggestions.js';
+import { applyLinkFixes } from '../lib/link-fixer.js';
+
+describe('suggestPages', () => {
+  test('never suggests the page the link is on', async () => {
+    const site = await loadSite();
+    const page = site.pages.find(candidate => candidate.url === '/en/guide/introduction.html');
+    const { candidates } = suggestPages(site, page, '/en/guide/introductoin.html');
+    assert.ok(candidates.length > 0);
+    assert.ok(candidates.every(candidate => candidate.page.file !== page.file));
+  });
+});
+
+// applyLinkFixes without its report
+async function fixQuietly(fixes, rootDir) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await applyLinkFixes(fixes, { rootDir });
+  } finally {
+    console.log = log;
+  }
+}
+
+describe('applyLinkFixes', () => {
+  test('rewrites a reference definition once for all its uses', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-fixer-'));
+    const file = path.join(dir, 'page.md');
+    fs.writeFileSync(file, 'See [setup][start] and [again][start].\n\n[start]: ./getting-startd\n');
+    try {
+      const { links } = extractLinks(fs.readFileSync(file, 'utf-8'), file);
+      assert.deepEqual(links.map(link => link.definitionLine), [3, 3]);
+
+      const fixes = links.map(link => ({
+        file,
+        line: link.definitionLine,
+        url: link.url,
+        candidates: ['./getting-started'],
+        unambiguous: true
+      }));
+      const fixed = await fixQuietly(fixes, dir);
+      assert.equal(fixed, 1);
+      assert.ok(fixes.every(fix => fix.applied));
+      assert.equal(fs.readFileSync(file, 'utf-8'), 'See [setup][start] and [again][start].\n\n[start]: ./getting-started\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('leaves fixes that need confirmation for a decision', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-fixer-'));
+    const file = path.join(dir, 'page.md');
+    const content = 'Read [the guide](/guide/getting-started).\n';
+    fs.writeFileSync(file, content);
+    try {
+      const fix = {
+        file,
+        line: 1,
+        url: '/guide/getting-started',
+        candidates: ['/en/guide/getting-started'],
+        unambiguous: false
+      };
+      const fixed = await fixQuietly([fix], dir);
+      assert.equal(fixed, 0);
+      assert.ok(!fix.applied);
+      assert.equal(fs.readFileSync(file, 'utf-8'), content);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,63 @@
+// The shared markdown parser against markdown-it's and VitePress' own output
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { createMarkdownRenderer } from 'vitepress';
+import { parseMarkdown } from '../lib/markdown.js';
+import { collectAnchors } from '../lib/anchors.js';
+
+const REFERENCES = `Read [the guide][guide], [Guide][] and [guide], not [this](./inline.md).
+![Logo][logo] and [missing][nope]
+
+[guide]: ./guide.md "Guide"
+[logo]: ./logo.png
+[unused]: https://example.com/
+
+\`\`\`md
+[guide]: ./in-code.md
+\`\`\`
+
+> [quoted]: ./quoted.md
+>
+> See [quoted].
+`;
+
+describe('parseMarkdown', () => {
+  test('finds reference definitions on their lines, code blocks excluded', () => {
+    const { definitions } = parseMarkdown(REFERENCES);
+    assert.deepEqual(definitions.map(({ key, url, line, used }) => ({ key, url, line, used })), [
+      { key: 'GUIDE', url: './guide.md', line: 4, used: true },
+      { key: 'LOGO', url: './logo.png', line: 5, used: true },
+      { key: 'UNUSED', url: 'https://example.com/', line: 6, used: false },
+      { key: 'QUOTED', url: './quoted.md', line: 12, used: true }
+    ]);
+  });
+
+  test('tells reference-style links and images from inline ones', () => {
+    const { links, undefinedReferences } = parseMarkdown(REFERENCES);
+    assert.deepEqual(links.map(({ url, kind, line }) => ({ url, kind, line })), [
+      { url: './guide.md', kind: 'reference', line: 1 },
+      { url: './guide.md', kind: 'reference', line: 1 },
+      { url: './guide.md', kind: 'reference', line: 1 },
+      { url: './inline.md', kind: 'inline', line: 1 },
+      { url: './logo.png', kind: 'reference', line: 2 },
+      { url: './quoted.md', kind: 'reference', line: 14 }
+    ]);
+    assert.deepEqual(undefinedReferences, [{ label: 'nope', line: 2 }]);
+  });
+});
+
+describe('collectAnchors', () => {
+  test('gives headings the ids VitePress renders', async () => {
+    const content = [
+      '# Setup ![Electron](./electron.png) guide',
+      '## Use `createWindow()` now',
+      '## Setup',
+      '## Setup',
+      '## Custom {#my-id}',
+      '## 中文 标题'
+    ].join('\n\n');
+    const md = await createMarkdownRenderer(process.cwd());
+    const rendered = [...md.render(content).matchAll(/<h\d id="([^"]+)"/g)].map(match => match[1]);
+    assert.deepEqual([...collectAnchors(content).anchors.keys()], rendered);
+  });
+});
@@ -0,0 +1,298 @@
+// Stubs for the parts of Electron the documentation uses. Signatures follow
+// the real electron.d.ts, trimmed to what samples need; extend them when a
+// sample uses an API that is missing here rather than loosening them.
+import { EventEmitter } from 'events';
+
+export interface Rectangle {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface WebPreferences {
+  preload?: string;
+  nodeIntegration?: boolean;
+  nodeIntegrationInWorker?: boolean;
+  contextIsolation?: boolean;
+  sandbox?: boolean;
+  webSecurity?: boolean;
+  allowRunningInsecureContent?: boolean;
+  devTools?: boolean;
+  spellcheck?: boolean;
+  backgroundThrottling?: boolean;
+  partition?: string;
+  additionalArguments?: string[];
+  zoomFactor?: number;
+  webviewTag?: boolean;
+  enableRemoteModule?: boolean;
+}
+
+export interface BrowserWindowConstructorOptions {
+  width?: number;
+  height?: number;
+  x?: number;
+  y?: number;
+  minWidth?: number;
+  minHeight?: number;
+  maxWidth?: number;
+  maxHeight?: number;
+  useContentSize?: boolean;
+  center?: boolean;
+  resizable?: boolean;
+  movable?: boolean;
+  minimizable?: boolean;
+  maximizable?: boolean;
+  closable?: boolean;
+  focusable?: boolean;
+  alwaysOnTop?: boolean;
+  fullscreen?: boolean;
+  fullscreenable?: boolean;
+  skipTaskbar?: boolean;
+  kiosk?: boolean;
+  title?: string;
+  icon?: string | NativeImage;
+  show?: boolean;
+  frame?: boolean;
+  parent?: BrowserWindow;
+  modal?: boolean;
+  autoHideMenuBar?: boolean;
+  backgroundColor?: string;
+  hasShadow?: boolean;
+  opacity?: number;
+  transparent?: boolean;
+  titleBarStyle?: 'default' | 'hidden' | 'hiddenInset' | 'customButtonsOnHover';
+  trafficLightPosition?: { x: number; y: number };
+  vibrancy?: string;
+  webPreferences?: WebPreferences;
+}
+
+export interface NativeImage {
+  isEmpty(): boolean;
+  toDataURL(): string;
+  getSize(): { width: number; height: number };
+}
+
+export interface IpcMainEvent {
+  sender: WebContents;
+  frameId: number;
+  returnValue: any;
+  reply(channel: string, ...args: any[]): void;
+  ports: MessagePortMain[];
+}
+
+export interface IpcMainInvokeEvent {
+  sender: WebContents;
+  frameId: number;
+}
+
+export interface IpcRendererEvent {
+  sender: IpcRenderer;
+  ports: MessagePort[];
+}
+
+export interface WebContents extends EventEmitter {
+  id: number;
+  send(channel: string, ...args: any[]): void;
+  postMessage(channel: string, message: any, transfer?: MessagePortMain[]): void;
+  openDevTools(options?: { mode: 'right' | 'bottom' | 'undocked' | 'detach'; activate?: boolean }): void;
+  closeDevTools(): void;
+  isDevToolsOpened(): boolean;
+  toggleDevTools(): void;
+  loadURL(url: string): Promise<void>;
+  loadFile(filePath: string): Promise<void>;
+  getURL(): string;
+  reload(): void;
+  isDestroyed(): boolean;
+  isLoading(): boolean;
+  executeJavaScript(code: string, userGesture?: boolean): Promise<any>;
+  setWindowOpenHandler(handler: (details: { url: string }) => { action: 'allow' | 'deny' }): void;
+}
+
+export class BrowserWindow extends EventEmitter {
+  constructor(options?: BrowserWindowConstructorOptions);
+  static getAllWindows(): BrowserWindow[];
+  static getFocusedWindow(): BrowserWindow | null;
+  static fromWebContents(webContents: WebContents): BrowserWindow | null;
+  static fromId(id: number): BrowserWindow | null;
+  id: number;
+  webContents: WebContents;
+  loadURL(url: string): Promise<void>;
+  loadFile(filePath: string): Promise<void>;
+  show(): void;
+  showInactive(): void;
+  hide(): void;
+  close(): void;
+  destroy(): void;
+  focus(): void;
+  blur(): void;
+  minimize(): void;
+  maximize(): void;
+  unmaximize(): void;
+  restore(): void;
+  setFullScreen(flag: boolean): void;
+  isFullScreen(): boolean;
+  isDestroyed(): boolean;
+  isVisible(): boolean;
+  isFocused(): boolean;
+  isMinimized(): boolean;
+  isMaximized(): boolean;
+  getTitle(): string;
+  setTitle(title: string): void;
+  getBounds(): Rectangle;
+  setBounds(bounds: Partial<Rectangle>, animate?: boolean): void;
+  getSize(): number[];
+  setSize(width: number, height: number, animate?: boolean): void;
+  getPosition(): number[];
+  setPosition(x: number, y: number, animate?: boolean): void;
+  center(): void;
+  setAlwaysOnTop(flag: boolean): void;
+  setMenu(menu: Menu | null): void;
+  setProgressBar(progress: number): void;
+}
+
+export interface CommandLine {
+  appendSwitch(name: string, value?: string): void;
+  hasSwitch(name: string): boolean;
+  getSwitchValue(name: string): string;
+}
+
+export interface App extends EventEmitter {
+  commandLine: CommandLine;
+  isPackaged: boolean;
+  whenReady(): Promise<void>;
+  isReady(): boolean;
+  quit(): void;
+  exit(exitCode?: number): void;
+  relaunch(): void;
+  focus(): void;
+  getPath(name: 'home' | 'appData' | 'userData' | 'sessionData' | 'temp' | 'exe' | 'module' | 'desktop' |
+    'documents' | 'downloads' | 'music' | 'pictures' | 'videos' | 'recent' | 'logs' | 'crashDumps'): string;
+  getAppPath(): string;
+  getVersion(): string;
+  getName(): string;
+  getLocale(): string;
+  requestSingleInstanceLock(): boolean;
+  setAppUserModelId(id: string): void;
+}
+
+export const app: App;
+
+export interface IpcMain extends EventEmitter {
+  handle(channel: string, listener: (event: IpcMainInvokeEvent, ...args: any[]) => Promise<any> | any): void;
+  handleOnce(channel: string, listener: (event: IpcMainInvokeEvent, ...args: any[]) => Promise<any> | any): void;
+  removeHandler(channel: string): void;
+  on(channel: string, listener: (event: IpcMainEvent, ...args: any[]) => void): this;
+  once(channel: string, listener: (event: IpcMainEvent, ...args: any[]) => void): this;
+}
+
+export const ipcMain: IpcMain;
+
+export interface IpcRenderer extends EventEmitter {
+  invoke(channel: string, ...args: any[]): Promise<any>;
+  send(channel: string, ...args: any[]): void;
+  sendSync(channel: string, ...args: any[]): any;
+  postMessage(channel: string, message: any, transfer?: MessagePort[]): void;
+  on(channel: string, listener: (event: IpcRendererEvent, ...args: any[]) => void): this;
+  once(channel: string, listener: (event: IpcRendererEvent, ...args: any[]) => void): this;
+  removeListener(channel: string, listener: (...args: any[]) => void): this;
+  removeAllListeners(channel?: string): this;
+}
+
+export const ipcRenderer: IpcRenderer;
+
+export interface ContextBridge {
+  exposeInMainWorld(apiKey: string, api: any): void;
+}
+
+export const contextBridge: ContextBridge;
+
+export interface MessageBoxOptions {
+  message: string;
+  type?: 'none' | 'info' | 'error' | 'question' | 'warning';
+  buttons?: string[];
+  defaultId?: number;
+  cancelId?: number;
+  title?: string;
+  detail?: string;
+}
+
+export interface MessageBoxReturnValue {
+  response: number;
+  checkboxChecked: boolean;
+}
+
+export interface OpenDialogOptions {
+  title?: string;
+  defaultPath?: string;
+  buttonLabel?: string;
+  filters?: { name: string; extensions: string[] }[];
+  properties?: Array<'openFile' | 'openDirectory' | 'multiSelections' | 'showHiddenFiles' | 'createDirectory'>;
+}
+
+export interface Dialog {
+  showErrorBox(title: string, content: string): void;
+  showMessageBox(options: MessageBoxOptions): Promise<MessageBoxReturnValue>;
+  showMessageBox(window: BrowserWindow, options: MessageBoxOptions): Promise<MessageBoxReturnValue>;
+  showMessageBoxSync(options: MessageBoxOptions): number;
+  showMessageBoxSync(window: BrowserWindow, options: MessageBoxOptions): number;
+  showOpenDialog(options: OpenDialogOptions): Promise<{ canceled: boolean; filePaths: string[] }>;
+  showOpenDialog(window: BrowserWindow, options: OpenDialogOptions): Promise<{ canceled: boolean; filePaths: string[] }>;
+  showSaveDialog(options: OpenDialogOptions): Promise<{ canceled: boolean; filePath?: string }>;
+  showSaveDialog(window: BrowserWindow, options: OpenDialogOptions): Promise<{ canceled: boolean; filePath?: string }>;
+}
+
+export const dialog: Dialog;
+
+export interface Shell {
+  openExternal(url: string): Promise<void>;
+  openPath(path: string): Promise<string>;
+  showItemInFolder(fullPath: string): void;
+}
+
+export const shell: Shell;
+
+export interface MenuItemConstructorOptions {
+  label?: string;
+  role?: string;
+  type?: 'normal' | 'separator' | 'submenu' | 'checkbox' | 'radio';
+  accelerator?: string;
+  enabled?: boolean;
+  visible?: boolean;
+  checked?: boolean;
+  click?: (menuItem: any, window: BrowserWindow | undefined, event: any) => void;
+  submenu?: MenuItemConstructorOptions[] | Menu;
+}
+
+export class Menu {
+  static buildFromTemplate(template: MenuItemConstructorOptions[]): Menu;
+  static setApplicationMenu(menu: Menu | null): void;
+  popup(options?: { window?: BrowserWindow; x?: number; y?: number }): void;
+}
+
+export interface Display {
+  id: number;
+  bounds: Rectangle;
+  workArea: Rectangle;
+  scaleFactor: number;
+}
+
+export interface Screen extends EventEmitter {
+  getPrimaryDisplay(): Display;
+  getAllDisplays(): Display[];
+  getDisplayMatching(rect: Rectangle): Display;
+  getCursorScreenPoint(): { x: number; y: number };
+}
+
+export const screen: Screen;
+
+export class MessagePortMain extends EventEmitter {
+  postMessage(message: any, transfer?: MessagePortMain[]): void;
+  start(): void;
+  close(): void;
+}
+
+export class MessageChannelMain {
+  port1: MessagePortMain;
+  port2: MessagePortMain;
+}
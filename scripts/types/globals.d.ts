@@ -0,0 +1,83 @@
+// What a documentation sample may take for granted without declaring it.
+// Samples are compiled as separate modules; anything they declare themselves
+// shadows these.
+
+// Node's EventEmitter, which the library's classes extend. Other packages
+// (vue, path, ...) are not declared: imports of them are typed any. zod is
+// checked as installed.
+declare module 'events' {
+  export class EventEmitter {
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+    off(event: string | symbol, listener: (...args: any[]) => void): this;
+    addListener(event: string | symbol, listener: (...args: any[]) => void): this;
+    removeListener(event: string | symbol, listener: (...args: any[]) => void): this;
+    removeAllListeners(event?: string | symbol): this;
+    emit(event: string | symbol, ...args: any[]): boolean;
+    listenerCount(event: string | symbol): number;
+  }
+}
+
+// Node modules the declarations of electron-log (the library's logger) import
+declare module 'http' {
+  export type ClientRequest = any;
+  export type RequestOptions = any;
+}
+declare module 'util' {
+  export type InspectOptions = any;
+}
+
+// Node.js globals of the main and preload processes
+declare const process: {
+  env: Record<string, string | undefined>;
+  platform: 'darwin' | 'win32' | 'linux' | (string & {});
+  argv: string[];
+  versions: Record<string, string | undefined>;
+  type?: 'browser' | 'renderer' | 'worker' | 'utility';
+  cwd(): string;
+  exit(code?: number): never;
+  memoryUsage(): NodeJS.MemoryUsage;
+  cpuUsage(previousValue?: { user: number; system: number }): { user: number; system: number };
+  on(event: string, listener: (...args: any[]) => void): any;
+};
+declare const __dirname: string;
+declare const __filename: string;
+declare const Buffer: any;
+declare function require(id: string): any;
+type BufferEncoding = 'utf8' | 'utf-8' | 'ascii' | 'base64' | 'hex' | 'latin1' | 'binary';
+declare namespace NodeJS {
+  type Timeout = ReturnType<typeof setTimeout>;
+  type Timer = Timeout;
+  type ProcessEnv = Record<string, string | undefined>;
+  interface MemoryUsage {
+    rss: number;
+    heapTotal: number;
+    heapUsed: number;
+    external: number;
+    arrayBuffers: number;
+  }
+  interface ErrnoException extends Error {
+    code?: string;
+    errno?: number;
+    path?: string;
+  }
+}
+
+// Electron's global namespace, for samples that write Electron.BrowserWindow
+declare namespace Electron {
+  type App = import('electron').App;
+  type Rectangle = import('electron').Rectangle;
+  type BrowserWindow = import('electron').BrowserWindow;
+  type BrowserWindowConstructorOptions = import('electron').BrowserWindowConstructorOptions;
+  type WebContents = import('electron').WebContents;
+  type IpcMainEvent = import('electron').IpcMainEvent;
+  type IpcMainInvokeEvent = import('electron').IpcMainInvokeEvent;
+  type IpcRendererEvent = import('electron').IpcRendererEvent;
+}
+
+// Instances the guides create once and then use from sample to sample
+declare const windowManager: import('electron-infra-kit').WindowManager;
+declare const ipcRouter: import('electron-infra-kit').IpcRouter;
+declare const messageBus: import('electron-infra-kit').MessageBus;
+declare const lifecycleManager: import('electron-infra-kit').LifecycleManager;
+declare const logger: ReturnType<typeof import('electron-infra-kit').getSharedLogger>;
@@ -1,14 +1,33 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadSite } from './lib/site.js';
+import {
+  expectedBuild, readHashmap, chunkFiles, listOutputFiles, buildTotals, snapshotBuild,
+  htmlReferences, resolveReference
+} from './lib/build.js';
+import { startStaticServer, resolveRequest } from './lib/static-server.js';
+import { crawlSite } from './lib/crawl.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const distDir = path.join(__dirname, '../docs/.vitepress/dist');
+// Command line options: --crawl also serves the build under its base and
+// crawls it from the home pages, as readers of the deployed site would;
+// --snapshot <file> saves what the build contains, for diff-build.js
+const args = process.argv.slice(2);
+const crawlMode = args.includes('--crawl');
+const snapshotFile = args.includes('--snapshot') ? args[args.indexOf('--snapshot') + 1] : undefined;
 
 console.log('🔍 Verifying Build Output\n');
 
+// Locales come from the VitePress config, so a new language is verified without code changes
+const site = await loadSite();
+// What the build should contain is computed from the sources and the config
+// (rewrites, cleanUrls, base, outDir), never from names of a past build
+const build = expectedBuild(site);
+const distDir = build.outDir;
+
 const checks = [];
 const passed = [];
 const failed = [];
@@ -24,40 +43,45 @@ function checkDistExists() {
   return false;
 }
 
-// Check 2: Essential files exist
+// Check 2: Essential files exist: the 404 page, the hash map and the app
+// entry and stylesheet the home page loads, whatever their content hashes
 function checkEssentialFiles() {
   const testName = 'Essential files exist';
-  const essentialFiles = [
-    'index.html',
-    '404.html',
-    'hashmap.json',
-    'assets/style.DmIY29xq.css',
-    'assets/app.C9mbDE2u.js'
-  ];
-  
-  const missing = essentialFiles.filter(file => 
-    !fs.existsSync(path.join(distDir, file))
-  );
-  
+  const essentialFiles = ['index.html', '404.html', 'hashmap.json'];
+  const missing = essentialFiles.filter(file => !fs.existsSync(path.join(distDir, file)));
+
+  if (!missing.includes('index.html')) {
+    const references = htmlReferences(fs.readFileSync(path.join(distDir, 'index.html'), 'utf-8'));
+    const entry = references.find(ref => ref.tag === 'script' && ref.type === 'module');
+    const stylesheet = references.find(ref => ref.tag === 'link' && /\bstylesheet\b/.test(ref.rel));
+    [['app entry script', entry], ['stylesheet', stylesheet]].forEach(([name, ref]) => {
+      const target = ref && resolveReference(build, ref.url, 'index.html');
+      if (!target || !target.file) {
+        missing.push(`${name} (index.html loads none)`);
+      } else if (!fs.existsSync(path.join(distDir, target.file))) {
+        missing.push(target.file);
+      }
+    });
+  }
+
   if (missing.length === 0) {
     passed.push(testName);
     return true;
   }
-  failed.push({ 
-    name: testName, 
-    reason: `Missing files: ${missing.join(', ')}` 
+  failed.push({
+    name: testName,
+    reason: `Missing files: ${missing.join(', ')}`
   });
   return false;
 }
 
-// Check 3: Language directories exist
-function checkLanguageDirectories() {
-  const testName = 'Language directories (zh/en)';
-  const langDirs = ['zh', 'en'];
-  
-  const missing = langDirs.filter(lang => 
-    !fs.existsSync(path.join(distDir, lang))
-  );
+// Check 3: Home page of every locale exists
+function checkHomePages(site) {
+  const codes = site.locales.map(locale => locale.code.toLowerCase()).join('/');
+  const testName = `Home pages (${codes})`;
+  const missing = site.locales
+    .map(locale => locale.link.slice(1) + 'index.html')
+    .filter(page => !fs.existsSync(path.join(distDir, page)));
   
   if (missing.length === 0) {
     passed.push(testName);
@@ -65,25 +89,22 @@ function checkLanguageDirectories() {
   }
   failed.push({ 
     name: testName, 
-    reason: `Missing directories: ${missing.join(', ')}` 
+    reason: `Missing pages: ${missing.join(', ')}` 
   });
   return false;
 }
 
-// Check 4: Home pages exist
-function checkHomePages() {
-  const testName = 'Home pages (zh/en)';
-  const homePages = [
-    'zh/index.html',
-    'en/index.html'
-  ];
-  
-  const missing = homePages.filter(page => 
-    !fs.existsSync(path.join(distDir, page))
-  );
+// Check 4: Every page of a locale was built, to the html file its published
+// path (after rewrites) maps to
+function checkLocalePages(locale) {
+  const testName = `${locale.label} pages`;
+  const entries = build.pages.filter(entry => entry.page && entry.page.locale === locale.key);
+  const missing = entries
+    .filter(entry => !fs.existsSync(path.join(distDir, entry.outputFile)))
+    .map(entry => `${entry.outputFile} (from ${entry.source}, ${entry.url})`);
   
   if (missing.length === 0) {
-    passed.push(testName);
+    passed.push(`${testName} (${entries.length})`);
     return true;
   }
   failed.push({ 
@@ -93,85 +114,179 @@ function checkHomePages() {
   return false;
 }
 
-// Check 5: Guide pages exist
-function checkGuidePages() {
-  const testName = 'Guide pages structure';
-  const guidePages = [
-    'zh/guide/introduction.html',
-    'zh/guide/getting-started.html',
-    'en/guide/introduction.html',
-    'en/guide/getting-started.html'
-  ];
-  
-  const missing = guidePages.filter(page => 
-    !fs.existsSync(path.join(distDir, page))
-  );
-  
-  if (missing.length === 0) {
+// Check 5: Every page of the reference locale is translated
+function checkTranslations(site) {
+  const reference = site.referenceLocale;
+  site.locales.filter(locale => locale !== reference).forEach(locale => {
+    const testName = `${locale.label} translations of ${reference.label}`;
+    const missing = [...site.localePages(reference.key).values()]
+      .filter(page => !site.translationOf(page, locale.key))
+      .map(page => locale.link.slice(1) + page.localPath.replace(/\.md$/, '.html'));
+    
+    if (missing.length === 0) {
+      passed.push(testName);
+      return;
+    }
+    failed.push({ 
+      name: testName, 
+      reason: `Missing pages: ${missing.join(', ')}` 
+    });
+  });
+}
+
+// Check 6: No html file that no page produces (a stale build, a rewrite
+// publishing a page somewhere else); files copied from public/ are expected
+function checkUnexpectedPages() {
+  const testName = 'No unexpected html files';
+  const expected = new Set(build.pages.map(entry => entry.outputFile));
+  const unexpected = listOutputFiles(build)
+    .filter(file => file.endsWith('.html') && !expected.has(file))
+    .filter(file => !fs.existsSync(path.join(site.publicDir, file)));
+
+  if (unexpected.length === 0) {
     passed.push(testName);
     return true;
   }
-  failed.push({ 
-    name: testName, 
-    reason: `Missing pages: ${missing.join(', ')}` 
+  failed.push({
+    name: testName,
+    reason: `No page is built to: ${unexpected.join(', ')}`
   });
   return false;
 }
 
-// Check 6: API pages exist
-function checkAPIPages() {
-  const testName = 'API reference pages';
-  const apiPages = [
-    'zh/api/index.html',
-    'zh/api/window-manager.html',
-    'en/api/index.html',
-    'en/api/window-manager.html'
-  ];
-  
-  const missing = apiPages.filter(page => 
-    !fs.existsSync(path.join(distDir, page))
-  );
-  
-  if (missing.length === 0) {
-    passed.push(testName);
-    return true;
+// Check 7: hashmap.json has the chunk of every page, and the chunk files
+// exist, under the names VitePress derives from the page path
+function checkPageChunks(hashmap) {
+  const testName = 'Page chunks (hashmap.json)';
+  if (!hashmap) {
+    failed.push({ name: testName, reason: 'hashmap.json not found' });
+    return false;
   }
-  failed.push({ 
-    name: testName, 
-    reason: `Missing pages: ${missing.join(', ')}` 
+
+  const problems = [];
+  const expectedKeys = new Set();
+  build.pages.filter(entry => entry.chunk).forEach(entry => {
+    const key = entry.chunk.toLowerCase();
+    expectedKeys.add(key);
+    if (!hashmap[key]) {
+      problems.push(`no entry for ${entry.source} (${key})`);
+      return;
+    }
+    const files = chunkFiles(build, entry, hashmap[key]);
+    [files.js, files.lean]
+      .filter(file => !fs.existsSync(path.join(distDir, file)))
+      .forEach(file => problems.push(`${file} missing (${entry.source})`));
   });
+  Object.keys(hashmap)
+    .filter(key => !expectedKeys.has(key))
+    .forEach(key => problems.push(`entry ${key} matches no page`));
+
+  if (problems.length === 0) {
+    passed.push(`${testName} (${expectedKeys.size})`);
+    return true;
+  }
+  failed.push({ name: testName, reason: problems.join('; ') });
   return false;
 }
 
-// Check 7: Example pages exist
-function checkExamplePages() {
-  const testName = 'Example pages';
-  const examplePages = [
-    'zh/examples/index.html',
-    'zh/examples/basic-setup.html',
-    'en/examples/index.html',
-    'en/examples/basic-setup.html'
-  ];
-  
-  const missing = examplePages.filter(page => 
-    !fs.existsSync(path.join(distDir, page))
-  );
-  
-  if (missing.length === 0) {
-    passed.push(testName);
+// Check 8: Every stylesheet, script, preload and image a built page loads
+// exists, and each page preloads its own chunk
+function checkAssetReferences(hashmap) {
+  const testName = 'Asset references';
+  const missing = new Map();
+  const problems = [];
+  let checked = 0;
+
+  build.pages
+    .filter(entry => fs.existsSync(path.join(distDir, entry.outputFile)))
+    .forEach(entry => {
+      const references = htmlReferences(fs.readFileSync(path.join(distDir, entry.outputFile), 'utf-8'));
+      references.forEach(ref => {
+        // Anchors are pages, not assets; <link rel="alternate" ...> and the like too
+        if (ref.tag === 'link' && !/\b(stylesheet|preload|modulepreload|prefetch|icon)\b/.test(ref.rel)) return;
+        const target = resolveReference(build, ref.url, entry.outputFile);
+        if (!target) return;
+        checked++;
+        if (!target.file) {
+          problems.push(`${entry.outputFile} loads ${ref.url}, ${target.reason}`);
+        } else if (!fs.existsSync(path.join(distDir, target.file))) {
+          missing.set(target.file, [...(missing.get(target.file) || []), entry.outputFile]);
+        }
+      });
+
+      const hash = hashmap && entry.chunk && hashmap[entry.chunk.toLowerCase()];
+      if (hash && !build.mpa) {
+        const lean = build.base + chunkFiles(build, entry, hash).lean;
+        if (!references.some(ref => ref.rel === 'modulepreload' && ref.url === lean)) {
+          problems.push(`${entry.outputFile} does not preload its chunk ${lean}`);
+        }
+      }
+    });
+
+  missing.forEach((pages, file) => {
+    const from = pages.length > 3 ? `${pages.slice(0, 3).join(', ')} and ${pages.length - 3} more` : pages.join(', ');
+    problems.push(`${file} missing (loaded by ${from})`);
+  });
+
+  if (problems.length === 0) {
+    passed.push(`${testName} (${checked})`);
     return true;
   }
-  failed.push({ 
-    name: testName, 
-    reason: `Missing pages: ${missing.join(', ')}` 
+  failed.push({ name: testName, reason: problems.join('; ') });
+  return false;
+}
+
+// Check 9 (--crawl): Serve the build under the real base and crawl it from
+// the home pages. Every href, src, srcset and preload of every page reached
+// must load, fragments must match an id of the rendered page, and every
+// page must be reachable. Catches base path bugs source checks cannot see.
+async function checkCrawl() {
+  const testName = 'Crawl from the home pages';
+  const server = await startStaticServer(distDir, build.base);
+  let result;
+  try {
+    const start = site.locales.map(locale => server.origin + build.base + locale.link.slice(1));
+    result = await crawlSite({ origin: server.origin, base: build.base, start });
+  } finally {
+    await server.close();
+  }
+
+  // Same reference broken on many pages (navigation, sidebar): report once
+  const grouped = new Map();
+  result.problems.forEach(problem => {
+    const key = `${problem.url} → ${problem.message}`;
+    if (!grouped.has(key)) grouped.set(key, new Set());
+    grouped.get(key).add(problem.page.slice(server.origin.length));
+  });
+  const details = [...grouped].map(([problem, pageSet]) => {
+    const pages = [...pageSet];
+    const from = pages.length > 3 ? `${pages.slice(0, 3).join(', ')} and ${pages.length - 3} more` : pages.join(', ');
+    return `${problem} (on ${from})`;
   });
+
+  // Pages reached, as the html files the server answered with
+  const reached = new Set([...result.pages.keys()].map(url => {
+    const pathname = decodeURIComponent(new URL(url).pathname).slice(build.base.length);
+    const resolved = resolveRequest(distDir, pathname);
+    return resolved && resolved.file ? path.relative(distDir, resolved.file).split(path.sep).join('/') : pathname;
+  }));
+  build.pages
+    .filter(entry => entry.page && !reached.has(entry.outputFile))
+    .forEach(entry => details.push(`${build.base}${entry.url.slice(1)} is not linked from any page reached (${entry.source})`));
+
+  const summary = `${reached.size} pages, ${result.requested} URLs`;
+  if (details.length === 0) {
+    passed.push(`${testName} (${summary})`);
+    return true;
+  }
+  failed.push({ name: `${testName} (${summary})`, reason: `Problems found: ${details.length}`, details });
   return false;
 }
 
-// Check 8: Assets directory
+// Check 10: Assets directory
 function checkAssets() {
   const testName = 'Assets directory';
-  const assetsDir = path.join(distDir, 'assets');
+  const assetsDir = path.join(distDir, build.assetsDir);
   
   if (!fs.existsSync(assetsDir)) {
     failed.push({ name: testName, reason: 'Assets directory not found' });
@@ -194,53 +309,18 @@ function checkAssets() {
   return false;
 }
 
-// Check 9: Calculate total size
-function checkBuildSize() {
+// Check 11: Calculate total size
+function checkBuildSize(totals) {
   const testName = 'Build size';
-  let totalSize = 0;
-  
-  function calculateSize(dir) {
-    const files = fs.readdirSync(dir);
-    files.forEach(file => {
-      const filePath = path.join(dir, file);
-      const stat = fs.statSync(filePath);
-      
-      if (stat.isDirectory()) {
-        calculateSize(filePath);
-      } else {
-        totalSize += stat.size;
-      }
-    });
-  }
-  
-  calculateSize(distDir);
-  
-  const sizeInMB = (totalSize / (1024 * 1024)).toFixed(2);
+  const sizeInMB = (totals.size / (1024 * 1024)).toFixed(2);
   passed.push(`${testName}: ${sizeInMB} MB`);
   return true;
 }
 
-// Check 10: Count HTML pages
-function countPages() {
+// Check 12: Count HTML pages
+function countPages(totals) {
   const testName = 'Total HTML pages';
-  let pageCount = 0;
-  
-  function countHTML(dir) {
-    const files = fs.readdirSync(dir);
-    files.forEach(file => {
-      const filePath = path.join(dir, file);
-      const stat = fs.statSync(filePath);
-      
-      if (stat.isDirectory()) {
-        countHTML(filePath);
-      } else if (file.endsWith('.html')) {
-        pageCount++;
-      }
-    });
-  }
-  
-  countHTML(distDir);
-  passed.push(`${testName}: ${pageCount}`);
+  passed.push(`${testName}: ${totals.pages}`);
   return true;
 }
 
@@ -252,15 +332,22 @@ if (!checkDistExists()) {
   process.exit(1);
 }
 
+const hashmap = readHashmap(build);
+
 checkEssentialFiles();
-checkLanguageDirectories();
-checkHomePages();
-checkGuidePages();
-checkAPIPages();
-checkExamplePages();
+checkHomePages(site);
+site.locales.forEach(locale => checkLocalePages(locale));
+checkTranslations(site);
+checkUnexpectedPages();
+checkPageChunks(hashmap);
+checkAssetReferences(hashmap);
+if (crawlMode) {
+  await checkCrawl();
+}
 checkAssets();
-checkBuildSize();
-countPages();
+const totals = buildTotals(build);
+checkBuildSize(totals);
+countPages(totals);
 
 // Report results
 console.log('📊 Verification Results:\n');
@@ -276,12 +363,18 @@ if (failed.length > 0) {
   failed.forEach(test => {
     console.log(`   - ${test.name}`);
     console.log(`     Reason: ${test.reason}`);
+    (test.details || []).forEach(detail => console.log(`       - ${detail}`));
   });
   console.log();
 }
 
 console.log(`📈 Summary: ${passed.length}/${passed.length + failed.length} checks passed\n`);
 
+if (snapshotFile) {
+  fs.writeFileSync(snapshotFile, JSON.stringify(snapshotBuild(build), null, 2) + '\n');
+  console.log(`💾 Build snapshot saved to ${snapshotFile}\n`);
+}
+
 if (failed.length === 0) {
   console.log('✨ Build verification complete! All checks passed.\n');
   console.log('💡 Next steps:');